@@ -12,181 +12,1220 @@
 	}
 }( this, function( _, Backbone, $ ) {
 	var delegateEventSplitter = /^(\S+)\s*(.*)$/;
-	var lastPossibleViewElement = _.isFunction( $ ) ? $( "body" )[ 0 ] : null;
+	var regExpKeySplitter = /^\/(.+)\/([a-z]*)$/;
+	var wildcardSplitter = /(\*\*|\*|\{\w+\})/g;
+
+	// in native DOM mode, views are registered on their elements in this map instead of in jQuery data
+	var viewsByElement = typeof WeakMap !== "undefined" ? new WeakMap() : null;
+
+	// compiled onMessages and passMessages hashes, keyed by the hash objects themselves
+	var compiledHashes = typeof WeakMap !== "undefined" ? new WeakMap() : null;
+
+	// the number of message names for which each compiled hash remembers its matching entries. Names may
+	// contain ids, as in "row:123:selected", so the remembered names are forgotten once there are this many.
+	var maxCachedMessageNames = 100;
+
+	// cached parent views are valid as long as they were resolved in the current generation. The
+	// generation changes whenever anything happens that may change the parent of any view.
+	var parentCacheGeneration = 0;
+	var parentCacheMode = false;
+	var parentCacheObserver = null;
 
 	Backbone.Courier = {};
 
+	// when true, views are registered on their elements and looked up without jQuery or Zepto.
+	// Selected automatically when no DOM library with `$.fn.data` is present. Choose the mode
+	// before any courier views are created, since elements are registered as views are created.
+	Backbone.Courier.nativeDom = ! ( _.isFunction( $ ) && $.fn && _.isFunction( $.fn.data ) );
+
+	// the Promise implementation used for asynchronous round trip messages. Replace
+	// it with a compatible library if your environment does not provide native promises.
+	Backbone.Courier.Promise = typeof Promise !== "undefined" ? Promise : null;
+
+	// set to true to cache the parent view of each view that the default `_getParentView` resolves through
+	// the DOM. Cached parents are resolved again when views are registered on or released from elements, when
+	// a view's element is re-attached to another element, and after `Backbone.Courier.invalidateParents()`
+	// is called. Set to "observe" to also resolve them again after any change to the DOM, which is detected with a MutationObserver.
+	Backbone.Courier.cacheParents = false;
+
 	Backbone.Courier.add = function( view ) {
-		var overriddenViewMethods = {
-			setElement : view.setElement
-		};
+		// add courier functionality to a single view object
+		installCourier( view );
+
+		if( view.el ) prepareViewElement( view ); // otherwise this will be done when #setElement is called
+	};
 
-		// ****************** Public Courier functions ****************** 
+	Backbone.Courier.remove = function( view ) {
+		// fully detach courier functionality that was added to a view object with `add()`. Views whose
+		// class has courier functionality mixed in keep the methods they inherit, but are unregistered.
+		if( view.el ) releaseViewElement( view );
+		releaseCourierParents( view );
+		uninstallCourier( view );
+	};
+
+	Backbone.Courier.mixin = function( ViewClass ) {
+		// add courier functionality to all instances of a view class at once, by installing it
+		// on the class's prototype. Behaves exactly like calling `add()` on each new instance.
+		installCourier( ViewClass.prototype );
+		return ViewClass;
+	};
 
-		view.spawn = function( message, data ) {
+	// ****************** Courier view methods ****************** 
+
+	var courierMethods = {
+		spawn : function( message, data ) {
 			// can be called with message argument as an object, in which case message.name is required,
 			// or can be called with message as a string that represents the name of the message and
 			// data object which will be added to message object at message.data
-			if( _.isString( message ) ) {
-				message = {
-					name : message,
-					data : data
-				};
-			} else if( _.isUndefined( message.name ) ) throw new Error( "Undefined message name." );
+			message = createMessage( message, data, this );
 
-			message.source = view;
-			message.data = _.isUndefined( message.data ) ? {} : message.data;
+			var isRoundTripMessage = message.name.charAt(message.name.length - 1) === "!";
 
-			this.trigger( message.name, message.data );
+			if( isRoundTripMessage && message.async ) {
+				// asynchronous round trip messages return a promise for the answer. Handlers may
+				// return promises or thenables, which the returned promise will adopt, and any
+				// exception thrown while the message is delivered rejects the promise.
+				var PromiseImpl = Backbone.Courier.Promise;
+				if( ! _.isFunction( PromiseImpl ) ) throw new Error( "Asynchronous round trip messages require Backbone.Courier.Promise." );
 
-			var isRoundTripMessage = message.name.charAt(message.name.length - 1) === "!";
+				var _this = this;
+				return new PromiseImpl( function( resolve, reject ) {
+					deliverMessage.call( _this, message, { isRoundTripMessage : isRoundTripMessage }, function( finalMessage, answer, isAnswered ) {
+						// `onAnswers` callbacks receive the answer once it is resolved
+						var answerPromise = new PromiseImpl( function( resolve ) { resolve( answer ); } );
 
-			var curChild = this;
-			var curParent = this._getParentView();
-			var messageShouldBePassed;
-			var value;
-
-			while( curParent ) {
-				// check to see if curParent has an action to perform when this message is received.
-				if( _.isObject( curParent.onMessages ) ) {
-					value = getValueOfBestMatchingHashEntry( curParent.onMessages, message, curParent, curChild );
-					if( value !== null ) {
-						var method = value;
-						if( ! _.isFunction( method ) ) method = curParent[ value ];
-						if( ! method ) throw new Error( "Method \"" + value + "\" does not exist" );
-
-						var returnValue = method.call( curParent, message.data, message.source, message.name );
-						if( isRoundTripMessage ) return returnValue;
-					}
-				}
+						_.each( isAnswered ? getAnswerPath( finalMessage ) : [], function( hop ) {
+							answerPromise = answerPromise.then( function( answer ) {
+								return transformAnswer( finalMessage, answer, hop.view, hop.sourceView );
+							} );
+						} );
 
-				if( isRoundTripMessage ) {
-					messageShouldBePassed = true;
-				} else {
-					// execute `passMessages` if its configured as a function
-					var passMessages = _.result( curParent, "passMessages" );
-
-					// check to see if this message should be passed up a level
-					if( ! _.isUndefined( passMessages ) ) {
-						if( _.isBoolean( passMessages ) ) messageShouldBePassed = passMessages;
-						else if( _.isArray( passMessages ) ) {
-							messageShouldBePassed = _.contains( passMessages, message.name );
-						} else {
-							throw new TypeError( "passMessages should be boolean or an array." );
-						}
-					}
-				}
+						resolve( answerPromise );
+					}, reject );
+				} );
+			}
+
+			// the result is known right away unless a middleware delays the delivery. In that case the
+			// outcome of the delivery, including any exception, is available through `message.delivered`.
+			var result = isRoundTripMessage ? undefined : message;
+			deliverMessage.call( this, message, { isRoundTripMessage : isRoundTripMessage }, function( finalMessage, answer, isAnswered ) {
+				// ordinary messages return their envelope, so that the spawning view can inspect it
+				result = ! isRoundTripMessage ? finalMessage : _.reduce( isAnswered ? getAnswerPath( finalMessage ) : [], function( answer, hop ) {
+					return transformAnswer( finalMessage, answer, hop.view, hop.sourceView );
+				}, answer );
+				return result;
+			} );
+
+			return result;
+		},
+
+		broadcast : function( message, data ) {
+			// the downward counterpart of `spawn`. Accepts the same arguments, and delivers the message
+			// to the `onParentMessages` hashes of child views, and further down to the descendants of
+			// those child views that pass it on via their `passParentMessages` property.
+			message = createMessage( message, data, this );
+
+			broadcastMessage.call( this, message );
+			return message;
+		},
 
-				if( ! messageShouldBePassed ) break; // if this message should not be passed, then we are done
+		collect : function( message, data, reducer, memo ) {
+			// a round trip message that is answered by every ancestor that handles it, regardless of
+			// `passMessages`. Returns the answers, nearest ancestor first, or the result of reducing them
+			// with `reducer( memo, answer )`, starting with `memo` if it is supplied.
+			message = createMessage( message, data, this );
+
+			var hasMemo = arguments.length > 3;
+			var result = [];
+			deliverMessage.call( this, message, { isCollecting : true }, function( finalMessage, answers ) {
+				if( ! _.isFunction( reducer ) ) result = answers;
+				else result = hasMemo ? _.reduce( answers, reducer, memo ) : _.reduce( answers, reducer );
+				return result;
+			} );
+
+			return result;
+		},
+
+		inject : function( key, onChange ) {
+			// return the value that the nearest ancestor with `key` in its `provides` hash provides, or undefined if
+			// there is none. If supplied, `onChange( value )` is invoked whenever the provider calls `notifyInjected( key )`,
+			// instead of any `onChange` that was supplied for `key` before.
+			for( var provider = this._getParentView(); provider; provider = provider._getParentView() ) {
+				var provides = _.result( provider, "provides" );
+				if( ! _.isObject( provides ) || ! _.has( provides, key ) ) continue;
+
+				if( onChange ) {
+					this.stopListening( null, "provided:" + key ); // including a provider that used to be nearer
+					this.listenTo( provider, "provided:" + key, getHandlerMethod( this, onChange ) );
+				}
 
-				curChild = curParent;
-				curParent = curParent._getParentView();
+				return provides[ key ];
 			}
 
-			if( isRoundTripMessage ) return undefined;
-		};
+			return undefined;
+		},
+
+		notifyInjected : function( key ) {
+			// let the descendants that injected `key` from this view know that its value has changed
+			var provides = _.result( this, "provides" );
+			this.trigger( "provided:" + key, _.isObject( provides ) ? provides[ key ] : undefined );
+		},
+
+		setCourierParent : function( parentView ) {
+			// make `parentView` this view's parent, regardless of where this view's element is in the DOM,
+			// for views such as modals and popovers that are rendered outside of the view that opens them.
+			// Call with null to go back to finding the parent through the DOM.
+			var previousParent = this.courierParent;
+			if( previousParent ) previousParent._courierLogicalChildren = _.without( previousParent._courierLogicalChildren, this );
+
+			this.courierParent = parentView || null;
+			parentCacheGeneration++;
+			if( parentView ) parentView._courierLogicalChildren = _.union( parentView._courierLogicalChildren || [], [ this ] );
+
+			return this;
+		}
+	};
 
+	// default implementations of internal methods, installed only on views that do not supply their own
+	var overridableCourierMethods = {
 		// supply your own _getParentView function on your view objects
 		// if you would like to use custom means to determine a view's
-		// "parent". The default means is to traverse the DOM tree and return
-		// the closest parent element that has a view object attached in el.data( "view" )
-		if( ! _.isFunction( view._getParentView ) ) {
-			view._getParentView = function() {
-				return Backbone.Courier.findClosestParentView( view );
-			}
-		}
+		// "parent". The default means is to use the parent assigned with
+		// setCourierParent, if any, or to traverse the DOM tree and return
+		// the closest parent element that has a view object registered on it
+		_getParentView : function() {
+			if( this.courierParent ) return this.courierParent;
+
+			syncParentCacheMode();
+			if( Backbone.Courier.cacheParents ) return getCachedParentView( this );
+			else return Backbone.Courier.findClosestParentView( this );
+		},
 
 		// supply your own _getChildViewNamed function on your view objects
 		// if you would like to use another means to test the source of your
 		// messages (used for keys of onMessages and passMessages of the form
 		// { "message source" : handler }). By default, child views are looked
 		// up by name in view.subviews[ childViewName ] (and then tested against message.source)
-		if( ! _.isFunction( view._getChildViewNamed ) )
-			view._getChildViewNamed = function( childViewName ) {
-				if( ! _.isObject( this.subviews ) ) return null;
-				return this.subviews[ childViewName ];
+		_getChildViewNamed : function( childViewName ) {
+			if( ! _.isObject( this.subviews ) ) return null;
+			return this.subviews[ childViewName ];
+		},
+
+		// supply your own _getChildViews function on your view objects if you
+		// would like to use custom means to determine which views receive messages
+		// broadcast by this view. The default means is to scan the DOM tree below
+		// this view's element for the closest elements that have a view object
+		// registered on them (except those that have been assigned another parent
+		// with setCourierParent), along with the views assigned to this one
+		_getChildViews : function() {
+			var _this = this;
+			var childViews = _.filter( Backbone.Courier.findChildViews( this ), function( childView ) {
+				return ! childView.courierParent || childView.courierParent === _this;
+			} );
+
+			return _.union( childViews, this._courierLogicalChildren || [] );
+		}
+	};
+
+	// set to true to record a trace of each spawned message in `Backbone.Courier.trace`
+	// and log it to the console, in order to find out why a message is not handled
+	Backbone.Courier.debug = false;
+	Backbone.Courier.trace = [];
+
+	Backbone.Courier.middleware = [];
+
+	// set `onUnhandled` to a function( message, path ) to be notified of spawned messages that no ancestor
+	// handles, and round trip messages that no ancestor answers. Set `strict` to true to have `spawn` throw then.
+	Backbone.Courier.onUnhandled = null;
+	Backbone.Courier.strict = false;
+
+	Backbone.Courier.use = function( middleware ) {
+		// add a middleware function( message, view, next ) that is run each time a spawned message
+		// is delivered to an ancestor view. See the README for the details of the contract.
+		Backbone.Courier.middleware.push( middleware );
+		return Backbone.Courier;
+	};
+
+	Backbone.Courier.unuse = function( middleware ) {
+		// remove a middleware added with `use`, or all of them when called without arguments
+		Backbone.Courier.middleware = _.isUndefined( middleware ) ? [] : _.without( Backbone.Courier.middleware, middleware );
+		return Backbone.Courier;
+	};
+
+	Backbone.Courier.envelope = function( handler ) {
+		// wrap an `onMessages` or `onParentMessages` callback (a function or a method name) so
+		// that it is invoked with the whole message envelope instead of ( data, source, messageName )
+		var envelopeHandler = function( message ) {
+			return getHandlerMethod( this, handler ).call( this, message );
+		};
+
+		envelopeHandler.receivesEnvelope = true;
+		return envelopeHandler;
+	};
+
+	// values that onMessages and onParentMessages callbacks may return to control propagation. STOP
+	// has the same effect as message.stopPropagation(), and CONTINUE as message.continuePropagation().
+	Backbone.Courier.STOP = { toString : function() { return "Backbone.Courier.STOP"; } };
+	Backbone.Courier.CONTINUE = { toString : function() { return "Backbone.Courier.CONTINUE"; } };
+
+	Backbone.Courier.viewClasses = {};
+
+	Backbone.Courier.registerViewClass = function( name, ViewClass ) {
+		// register a view class under a name, so that a "<name>" source qualifier in an onMessages
+		// key matches messages from any instance of the class (including instances of its subclasses)
+		Backbone.Courier.viewClasses[ name ] = ViewClass;
+		return Backbone.Courier;
+	};
+
+	Backbone.Courier.findClosestParentView = function( view ) {
+		// a view that shares its element with other views is enclosed by the view registered before it
+		var sharedElementViews = getRegisteredViews( view.el );
+		var index = _.indexOf( sharedElementViews, view );
+		if( index > 0 ) return sharedElementViews[ index - 1 ];
+
+		var lastPossibleViewElement = getLastPossibleViewElement();
+		var curElement = getParentElement( view.el );
+
+		while( curElement && curElement !== lastPossibleViewElement ) {
+			var curElementViews = getRegisteredViews( curElement );
+			if( curElementViews.length ) return _.last( curElementViews ); // the innermost view
+
+			curElement = getParentElement( curElement );
+		}
+
+		return null;
+	};
+
+	Backbone.Courier.invalidateParents = function( view ) {
+		// make views resolve their parents again, for example after their elements were moved in the
+		// DOM. Invalidates the cached parent of `view`, or, when called without arguments, of all views.
+		if( view ) delete view._courierParentCache;
+		else parentCacheGeneration++;
+	};
+
+	Backbone.Courier.findChildViews = function( view ) {
+		// return the views attached to the closest descendant elements of view.el, in document order.
+		// elements below a child view's element belong to that child view, and are not scanned.
+		var sharedElementViews = getRegisteredViews( view.el );
+		var index = _.indexOf( sharedElementViews, view );
+		if( index !== -1 && index < sharedElementViews.length - 1 ) return [ sharedElementViews[ index + 1 ] ];
+
+		var childViews = [];
+
+		( function scanElements( elements ) {
+			_.each( elements, function( curElement ) {
+				var curElementViews = getRegisteredViews( curElement );
+				if( curElementViews.length ) childViews.push( curElementViews[ 0 ] ); // the outermost view
+				else scanElements( getChildElements( curElement ) );
+			} );
+		} )( getChildElements( view.el ) );
+
+		return childViews;
+	};
+
+	// ****************** Private Courier functions ****************** 
+
+	function deliverMessage( message, options, onComplete, onError ) {
+		// deliver a spawned message to this view's ancestors. `options.isRoundTripMessage` makes it a round trip
+		// message, and `options.isCollecting` a message that is answered by every ancestor, in which case the
+		// answer is the array of their answers. `onComplete( finalMessage, answer, isAnswered )`
+		// is called once the delivery is over, which is right away unless a middleware delays it. `onError` is called
+		// with exceptions thrown while a delayed delivery is resumed. Without `onError`, a delayed delivery
+		// instead sets `message.delivered` to a promise for the return value of `onComplete`, which is
+		// rejected with those exceptions.
+		var completed = false;
+		var resolveDelivered, rejectDelivered;
+		var isRoundTripMessage = !! options.isRoundTripMessage;
+		var isCollecting = !! options.isCollecting;
+		var delivery = {
+			isRoundTripMessage : isRoundTripMessage,
+			isCollecting : isCollecting,
+			answers : [],
+			middleware : Backbone.Courier.middleware.slice(),
+			messageShouldBePassed : undefined,
+			trace : Backbone.Courier.debug ? createTrace( message ) : null,
+
+			complete : function( finalMessage, answer, view, reason ) {
+				if( completed ) return;
+				completed = true;
+
+				if( isCollecting ) answer = delivery.answers;
+
+				if( delivery.trace ) {
+					_.extend( delivery.trace, { stoppedAt : view, reason : reason, answer : answer } );
+					logTrace( delivery.trace );
+				}
+
+				// messages that are stopped on purpose, by a callback or a middleware, are not unhandled
+				var reachedTop = reason === "reached the top of the view hierarchy";
+				var isUnhandled;
+				if( isCollecting ) isUnhandled = reachedTop && ! delivery.answers.length;
+				else if( isRoundTripMessage ) isUnhandled = reachedTop;
+				else isUnhandled = ( reachedTop || reason === "not passed" ) && ! finalMessage.handledBy.length;
+				if( isUnhandled ) reportUnhandledMessage( finalMessage );
+
+				var result = onComplete( finalMessage, answer, reason === "answered" );
+				if( resolveDelivered ) resolveDelivered( result );
+			},
+
+			delay : function() {
+				// called when a middleware delays the delivery, before it is resumed
+				if( onError || resolveDelivered ) return;
+
+				var PromiseImpl = Backbone.Courier.Promise;
+				if( ! _.isFunction( PromiseImpl ) ) throw new Error( "Delaying messages requires Backbone.Courier.Promise." );
+
+				message.delivered = new PromiseImpl( function( resolve, reject ) {
+					resolveDelivered = resolve;
+					rejectDelivered = reject;
+				} );
+			},
+
+			fail : function( err ) {
+				if( onError ) onError( err );
+				else rejectDelivered( err );
+			}
+		};
+
+		this.trigger( message.name, message.data );
+
+		deliverToParent( delivery, message, this, this._getParentView() );
+	}
+
+	function deliverToParent( delivery, message, curChild, curParent ) {
+		// run the message through the middleware and then deliver it to curParent. Returns the value
+		// that `next()` returns to the middleware: the answer to a round trip message, or otherwise
+		// the return value of curParent's handler for the message.
+		if( ! curParent ) return delivery.complete( message, undefined, curChild, "reached the top of the view hierarchy" );
+
+		message.path.push( curParent );
+
+		return ( function callMiddleware( index, message ) {
+			if( index === delivery.middleware.length ) return handleMessage( delivery, message, curChild, curParent );
+
+			var nextCalled = false;
+			var nextReturnValue;
+			var next = function( replacementMessage ) {
+				if( nextCalled ) throw new Error( "next() was called more than once." );
+				nextCalled = true;
+
+				// a middleware may replace the message, which keeps its envelope
+				if( _.isObject( replacementMessage ) && replacementMessage !== message ) message = adoptEnvelope( replacementMessage, message );
+				nextReturnValue = callMiddleware( index + 1, message );
+				return nextReturnValue;
 			};
 
-		// ****************** Overridden Backbone.View functions ****************** 
+			var middlewareReturnValue = delivery.middleware[ index ]( message, curParent, next );
+
+			if( ! nextCalled ) {
+				// a middleware that returns a thenable delays the message until it calls `next()`. Any
+				// other middleware that returns without calling `next()` drops the message.
+				if( isThenable( middlewareReturnValue ) ) {
+					delivery.delay();
+					middlewareReturnValue.then( function() {
+						try {
+							if( ! nextCalled ) delivery.complete( message, undefined, curParent, "dropped by middleware" );
+						} catch( err ) {
+							delivery.fail( err );
+						}
+					}, delivery.fail );
+				} else delivery.complete( message, undefined, curParent, "dropped by middleware" );
+			}
+
+			return nextReturnValue;
+		} )( 0, message );
+	}
+
+	function handleMessage( delivery, message, curChild, curParent ) {
+		var returnValue;
+		var hop = delivery.trace ? traceHop( delivery.trace, message, curParent ) : null;
+
+		// check to see if curParent has an action to perform when this message is received.
+		if( _.isObject( curParent.onMessages ) ) {
+			var rejectedKeys = hop ? [] : null;
+			var entry = getBestMatchingHashEntry( curParent.onMessages, message, curParent, curChild, rejectedKeys );
+			if( hop ) {
+				hop.matchedKey = entry ? entry.key : null;
+				if( ! entry ) hop.reason = rejectedKeys.length ? "keys that match the name have a different source: \"" + rejectedKeys.join( "\", \"" ) + "\"" : "no key matches the name";
+			}
+
+			if( entry ) {
+				returnValue = invokeHandler( curParent, entry, message );
+
+				// callbacks that return undefined, including those that return STOP or CONTINUE, contribute nothing
+				if( delivery.isCollecting && ! _.isUndefined( returnValue ) ) delivery.answers.push( returnValue );
+
+				// a callback that continues a round trip message declines to answer it, so that an ancestor
+				// may answer it instead. Any other callback answers it, unless it returned STOP.
+				if( delivery.isRoundTripMessage && ! message.propagationContinued ) {
+					delivery.complete( message, returnValue, curParent, message.propagationStopped && _.isUndefined( returnValue ) ? "propagation stopped" : "answered" );
+					return returnValue;
+				}
+			}
+		} else if( hop ) hop.reason = "no onMessages hash";
+
+		if( message.propagationStopped ) {
+			delivery.complete( message, undefined, curParent, "propagation stopped" );
+			return returnValue;
+		}
+
+		var passReason;
+		var propagationContinued = message.propagationContinued;
+		message.propagationContinued = false; // only applies to the view whose callback continued it
+
+		if( delivery.isRoundTripMessage ) {
+			delivery.messageShouldBePassed = true;
+			passReason = propagationContinued ? "the callback declined to answer" : "round trip messages are always passed";
+		} else if( delivery.isCollecting ) {
+			delivery.messageShouldBePassed = true;
+			passReason = "collected messages are always passed";
+		} else {
+			// execute `passMessages` if its configured as a function
+			var passMessages = _.result( curParent, "passMessages" );
+			var originalName = message.name;
 
-		view.setElement = function( element, delegate ) {
-			var retval = overriddenViewMethods.setElement.call( this, element, delegate );
-			prepareViewElement( view );
+			// check to see if this message should be passed up a level
+			if( _.isBoolean( passMessages ) || _.isArray( passMessages ) ) {
+				delivery.messageShouldBePassed = isMessageNamedIn( passMessages, message, "passMessages" );
+				passReason = _.isBoolean( passMessages ) ? "passMessages is " + passMessages : "name is " + ( delivery.messageShouldBePassed ? "" : "not " ) + "in passMessages";
+			} else if( _.isObject( passMessages ) && ! _.isFunction( passMessages ) ) {
+				// a hash may also rename or transform the message on its way up
+				var passedMessage = getPassedMessage( passMessages, message, curParent, curChild );
+				delivery.messageShouldBePassed = passedMessage !== null;
+				if( delivery.messageShouldBePassed ) message = passedMessage;
+				passReason = ! delivery.messageShouldBePassed ? "no passMessages entry passes it" : message.name !== originalName ? "passMessages passes it as \"" + message.name + "\"" : "passMessages passes it";
+			} else if( ! _.isUndefined( passMessages ) ) {
+				throw new TypeError( "passMessages should be boolean, an array or a hash." );
+			} else passReason = "passMessages is undefined, so the decision of the previous view stands";
+
+			// a callback may pass the message on regardless of `passMessages`, without changing the
+			// decision that later views with an undefined `passMessages` inherit
+			if( propagationContinued && ! delivery.messageShouldBePassed ) passReason = "the callback continued propagation";
+		}
+
+		var messageIsPassed = delivery.messageShouldBePassed || propagationContinued;
+		if( hop ) _.extend( hop, { passed : !! messageIsPassed, passReason : passReason } );
+
+		// if this message should not be passed, then we are done
+		if( ! messageIsPassed ) {
+			delivery.complete( message, undefined, curParent, "not passed" );
+			return returnValue;
+		}
+
+		var answer = deliverToParent( delivery, message, curParent, curParent._getParentView() );
+		return delivery.isRoundTripMessage ? answer : returnValue;
+	}
+
+	function reportUnhandledMessage( message ) {
+		if( _.isFunction( Backbone.Courier.onUnhandled ) ) Backbone.Courier.onUnhandled( message, message.path );
+		if( Backbone.Courier.strict ) throw new Error( "Message \"" + message.name + "\" spawned by " + describeView( message.source ) + " was not handled." );
+	}
+
+	function broadcastMessage( message ) {
+		_.each( this._getChildViews(), function( curChild ) {
+			if( message.propagationStopped ) return;
+
+			message.path.push( curChild );
+
+			// check to see if curChild has an action to perform when this message is received.
+			if( _.isObject( curChild.onParentMessages ) ) {
+				var entry = getBestMatchingHashEntry( curChild.onParentMessages, message, curChild, null );
+				if( entry ) invokeHandler( curChild, entry, message );
+			}
+
+			if( message.propagationStopped ) return;
+
+			var propagationContinued = message.propagationContinued;
+			message.propagationContinued = false;
+
+			// unlike `passMessages`, `passParentMessages` defaults to false at every level
+			var passParentMessages = _.result( curChild, "passParentMessages" );
+			if( propagationContinued || ( ! _.isUndefined( passParentMessages ) && isMessageNamedIn( passParentMessages, message, "passParentMessages" ) ) )
+				broadcastMessage.call( curChild, message );
+		} );
+	}
+
+	// ****************** Private Utility Functions ****************** 
+
+	function installCourier( target ) {
+		// install courier methods on a view object or a view class's prototype
+		if( target.spawn === courierMethods.spawn ) return; // courier functionality is already installed
+
+		_.extend( target, courierMethods );
+
+		_.each( overridableCourierMethods, function( method, methodName ) {
+			if( ! _.isFunction( target[ methodName ] ) ) target[ methodName ] = method;
+		} );
+
+		// override setElement and remove so that the view's element is registered whenever
+		// it changes, and stale registrations do not route messages to views that are gone
+		overrideViewMethod( target, "setElement", function( setElement, args ) {
+			if( this.el ) releaseViewElement( this );
+
+			var retval = setElement.apply( this, args );
+			prepareViewElement( this );
 			return retval;
+		} );
+
+		overrideViewMethod( target, "remove", function( remove, args ) {
+			if( this.el ) releaseViewElement( this );
+			releaseCourierParents( this );
+			return remove.apply( this, args );
+		} );
+	}
+
+	function releaseCourierParents( view ) {
+		// undo the parent assignments made with setCourierParent, both of the view's own parent and of the
+		// views that were assigned the view as their parent, so that no messages are routed to or from it
+		if( view.courierParent ) courierMethods.setCourierParent.call( view, null );
+
+		_.each( view._courierLogicalChildren, function( childView ) {
+			courierMethods.setCourierParent.call( childView, null );
+		} );
+	}
+
+	function uninstallCourier( target ) {
+		// remove what installCourier installed directly on a view object or prototype
+		_.each( _.extend( {}, overridableCourierMethods, courierMethods ), function( method, methodName ) {
+			if( _.has( target, methodName ) && target[ methodName ] === method ) delete target[ methodName ];
+		} );
+
+		_.each( [ "setElement", "remove" ], function( methodName ) {
+			var overridden = _.has( target, methodName ) && target[ methodName ].courierOverriddenMethod;
+			if( ! overridden ) return;
+
+			if( overridden.isOwn ) target[ methodName ] = overridden.method;
+			else delete target[ methodName ];
+		} );
+	}
+
+	function overrideViewMethod( target, methodName, override ) {
+		// replace a method with `override( overriddenMethod, args )`, remembering what it replaced
+		var overriddenMethod = target[ methodName ];
+		var courierOverriddenMethod = { method : overriddenMethod, isOwn : _.has( target, methodName ) };
+
+		target[ methodName ] = function() {
+			return override.call( this, overriddenMethod, arguments );
 		};
 
-		// ****************** Body of Backbone.Courier.add() function ****************** 
+		target[ methodName ].courierOverriddenMethod = courierOverriddenMethod;
+	}
 
-		if( view.$el ) prepareViewElement( view ); // otherwise this will be done when #setElement is called
+	function prepareViewElement( view ) {
+		// register the view object on its DOM element. Views that share an element are kept
+		// in the order they were registered, from the outermost to the innermost.
+		if( ! view.el ) return;
 
-		// ****************** Private Utility Functions ****************** 
+		var views = getRegisteredViews( view.el );
+		if( ! _.contains( views, view ) ) {
+			setRegisteredViews( view.el, views.concat( view ) );
+			parentCacheGeneration++;
+		}
+	}
 
-		function prepareViewElement( view ) {
-			// store a reference to the view object in the DOM element's jQuery data. Make sure it is supported.
-			if( _.isFunction( view.$el.data ) && ! view.$el.data( "view" ) ) view.$el.data( "view", view );
+	function releaseViewElement( view ) {
+		// remove the view object from the views registered on its DOM element
+		var views = getRegisteredViews( view.el );
+		if( _.contains( views, view ) ) {
+			setRegisteredViews( view.el, _.without( views, view ) );
+			parentCacheGeneration++;
 		}
+	}
 
-		function getValueOfBestMatchingHashEntry( hash, message, view, sourceView ) {
-			// return the value of the entry in a onMessages or passMessages hash that is the 
-			// "most specific" match for this message, or null, if there are no matches.
+	function getCachedParentView( view ) {
+		// changes to the DOM that the observer has noticed, but not yet reported, are taken into account right away
+		if( parentCacheObserver && parentCacheObserver.takeRecords().length ) parentCacheGeneration++;
 
-			var matchingEntries = [];
+		// a view whose element has been re-attached anywhere else needs its parent found again
+		var parentNode = view.el ? view.el.parentNode : null;
+		var cache = view._courierParentCache;
+		if( ! cache || cache.generation !== parentCacheGeneration || cache.parentNode !== parentNode ) {
+			cache = view._courierParentCache = {
+				parent : Backbone.Courier.findClosestParentView( view ),
+				parentNode : parentNode,
+				generation : parentCacheGeneration
+			};
+		}
 
-			for( var key in hash ) {
-				// We are looking for keys in the hash that have the `message` argument
-				// as the first word of their key. If we find one, they either need
-				// no source qualifier as the second word of the key (in which case
-				// we will pass this message regardless of where it comes from),
-				// or we need this the name of the subview that is the source of the
-				// message second word of the key.
+		return cache.parent;
+	}
 
-				var match = key.match( delegateEventSplitter );
+	function syncParentCacheMode() {
+		// start or stop observing the DOM when `Backbone.Courier.cacheParents` changes. Parents that
+		// were cached before a change of mode are not trusted, since the DOM may have changed since.
+		var mode = Backbone.Courier.cacheParents;
+		if( mode === parentCacheMode ) return;
 
-				var eventName = match[ 1 ], subviewName = match[ 2 ];
-				var eventNameRegEx = new RegExp( '^' + eventName.replace( /\*/g, "[\\w]*" ) + '$' );
-				if( ! eventNameRegEx.test( message.name ) ) continue;
+		parentCacheMode = mode;
+		parentCacheGeneration++;
 
-				if( subviewName !== "" && view._getChildViewNamed( subviewName ) !== sourceView ) continue;
+		if( parentCacheObserver ) {
+			parentCacheObserver.disconnect();
+			parentCacheObserver = null;
+		}
 
-				matchingEntries.push( { eventName : eventName, subviewName : subviewName, value : hash[ key ] } );
-			}
+		if( mode === "observe" ) {
+			if( typeof MutationObserver === "undefined" ) throw new Error( "Backbone.Courier.cacheParents can not be \"observe\" without MutationObserver." );
 
-			// if more than one hash keys match, order them by specificity, that is,
-			// in descending order of how many non-wild card characters they contain,
-			// so that entry with most specificity is at index 0. Also, consider any
-			// entries that have subview qualifier more specific than those that do not.
-			if( matchingEntries.length > 1 )
-				matchingEntries = _.sortBy( matchingEntries, function( thisEntry ) {
-					var nonWildcardCharactersInEventName = thisEntry.eventName.replace( "*", "" );
-					var hasSubviewQualifier = thisEntry.subviewName !== "";
-
-					// promote all entries with subview qualifiers to a higher level of specificity.
-					// Figure there will never, ever be a 1000 character long event name
-					var specificity = ( hasSubviewQualifier ? 1000 : 0 ) + nonWildcardCharactersInEventName.length;
-
-					// negate to sort in descending order
-					return( - specificity );
-				} );
+			parentCacheObserver = new MutationObserver( function() {
+				parentCacheGeneration++;
+			} );
+			parentCacheObserver.observe( document.documentElement, { childList : true, subtree : true } );
+		}
+	}
+
+	function getRegisteredViews( element ) {
+		var views;
+
+		if( Backbone.Courier.nativeDom ) views = viewsByElement ? viewsByElement.get( element ) : undefined;
+		else {
+			// also honor views that were stored in el.data( "view" ) by other means
+			var $element = $( element );
+			views = $element.data( "views" );
+			if( ! views && $element.data( "view" ) ) views = [ $element.data( "view" ) ];
+		}
+
+		return _.filter( views || [], function( view ) {
+			return _.isFunction( view.render );
+		} );
+	}
+
+	function setRegisteredViews( element, views ) {
+		if( Backbone.Courier.nativeDom ) {
+			if( ! viewsByElement ) throw new Error( "The native DOM mode of Backbone.Courier requires WeakMap." );
+
+			if( views.length ) viewsByElement.set( element, views );
+			else viewsByElement[ "delete" ]( element );
+		} else {
+			// el.data( "view" ) keeps referring to the outermost view, as it always has
+			var $element = $( element );
+
+			if( views.length ) $element.data( "views", views ).data( "view", views[ 0 ] );
+			else $element.removeData( "views" ).removeData( "view" );
+		}
+	}
+
+	function getParentElement( element ) {
+		// the view hierarchy follows the rendered ("flattened") tree. Slotted content continues
+		// from the slot it is assigned to, and the top of a shadow tree continues from its host.
+		if( element.assignedSlot ) return element.assignedSlot;
+
+		var parentNode = element.parentNode;
+		if( ! parentNode ) return null;
+		if( parentNode.nodeType === 11 && parentNode.host ) return parentNode.host;
+
+		return parentNode.nodeType === 1 ? parentNode : null;
+	}
+
+	function getChildElements( element ) {
+		// the counterpart of getParentElement. The children of a shadow host are the top of its (open)
+		// shadow tree, plus any unslotted content, and the children of a slot are the elements assigned to it.
+		var childNodes = element.childNodes;
+
+		if( element.shadowRoot ) {
+			childNodes = _.toArray( element.shadowRoot.childNodes ).concat( _.reject( childNodes, function( node ) {
+				return node.assignedSlot;
+			} ) );
+		} else if( _.isFunction( element.assignedNodes ) ) {
+			var assignedNodes = element.assignedNodes();
+			if( assignedNodes.length ) childNodes = assignedNodes; // otherwise the slot's fallback content is rendered
+		}
+
+		// `children` is not supported on all nodes in older browsers, so filter `childNodes` instead
+		return _.filter( childNodes, function( node ) {
+			return node.nodeType === 1;
+		} );
+	}
+
+	function getLastPossibleViewElement() {
+		// views are never looked up at or above the body element
+		return typeof document !== "undefined" ? document.body : null;
+	}
+
+	var envelopeMethods = {
+		stopPropagation : function() {
+			this.propagationStopped = true;
+		},
+
+		continuePropagation : function() {
+			this.propagationContinued = true;
+		},
 
-			return matchingEntries.length ? matchingEntries[ 0 ].value : null;
+		preventDefault : function() {
+			this.defaultPrevented = true;
+		},
+
+		isPropagationStopped : function() {
+			return this.propagationStopped;
+		},
+
+		isPropagationContinued : function() {
+			return this.propagationContinued;
+		},
+
+		isDefaultPrevented : function() {
+			return this.defaultPrevented;
 		}
 	};
 
-	Backbone.Courier.findClosestParentView = function( view ) {
-		var parent = null;
-		var curElement = view.$el.parent();
-		while( curElement.length > 0 && curElement[0] !== lastPossibleViewElement ) {
-			var curElementView = curElement.data( "view" );
-			if( curElementView && _.isFunction( curElementView.render ) ) {
-				parent = curElementView;
-				break;
+	function createMessage( message, data, source ) {
+		if( _.isString( message ) ) {
+			message = {
+				name : message,
+				data : data
+			};
+		} else if( _.isUndefined( message.name ) ) throw new Error( "Undefined message name." );
+
+		message.source = source;
+		message.data = _.isUndefined( message.data ) ? {} : message.data;
+
+		// turn the message into an envelope that carries the history of its delivery. State left over from
+		// an earlier delivery of the same message object is cleared.
+		return _.extend( message, envelopeMethods, {
+			delivered : undefined,
+			params : undefined,
+			answer : undefined,
+			id : _.uniqueId( "message" ),
+			timestamp : new Date().getTime(),
+			path : [ source ],
+			handledBy : [],
+			propagationStopped : false,
+			propagationContinued : false,
+			defaultPrevented : false
+		} );
+	}
+
+	function adoptEnvelope( newMessage, message ) {
+		// give a message that replaces another the original's source and envelope
+		if( _.isUndefined( newMessage.name ) ) throw new Error( "Undefined message name." );
+
+		newMessage.data = _.isUndefined( newMessage.data ) ? {} : newMessage.data;
+		return _.extend( newMessage, _.omit( message, "name", "data" ) );
+	}
+
+	function isThenable( value ) {
+		return _.isObject( value ) && _.isFunction( value.then );
+	}
+
+	function getHandlerMethod( view, value ) {
+		// callbacks can be supplied either as functions or as names of methods on the view
+		var method = value;
+		if( ! _.isFunction( method ) ) method = view[ value ];
+		if( ! method ) throw new Error( "Method \"" + value + "\" does not exist" );
+
+		return method;
+	}
+
+	function getAnswerPath( message ) {
+		// the views that passed a round trip message on, each with the view it received the message from,
+		// in the order in which the answer travels back down to the spawning view
+		var path = message.path;
+
+		return _.map( _.range( path.length - 2, 0, -1 ), function( index ) {
+			return { view : path[ index ], sourceView : path[ index - 1 ] };
+		} );
+	}
+
+	function transformAnswer( message, answer, view, sourceView ) {
+		// give a view that passed a round trip message the chance to change the answer on its way back
+		if( ! _.isObject( view.onAnswers ) ) return answer;
+
+		var entry = getBestMatchingHashEntry( view.onAnswers, message, view, sourceView );
+		if( ! entry ) return answer;
+
+		var method = getHandlerMethod( view, entry.value );
+		if( method.receivesEnvelope ) {
+			message.params = entry.params;
+			message.answer = answer;
+			return method.call( view, message );
+		} else return method.call( view, answer, message.data, message.source, message.name, entry.params );
+	}
+
+	function invokeHandler( view, entry, message ) {
+		// invoke the callback of a matching hash entry. The values captured by the entry's wildcards
+		// are supplied as an extra `params` argument, or in the `params` property of the envelope.
+		var method = getHandlerMethod( view, entry.value );
+		message.handledBy.push( view );
+
+		var returnValue;
+		if( method.receivesEnvelope ) {
+			message.params = entry.params;
+			returnValue = method.call( view, message );
+		} else returnValue = method.call( view, message.data, message.source, message.name, entry.params );
+
+		// callbacks may also control propagation by returning STOP or CONTINUE
+		if( returnValue === Backbone.Courier.STOP ) message.stopPropagation();
+		else if( returnValue === Backbone.Courier.CONTINUE ) message.continuePropagation();
+		else return returnValue;
+	}
+
+	function isMessageNamedIn( passMessages, message, propertyName ) {
+		// `passMessages` and `passParentMessages` are either a boolean or an array of message names
+		if( _.isBoolean( passMessages ) ) return passMessages;
+		else if( _.isArray( passMessages ) ) return _.contains( passMessages, message.name );
+		else throw new TypeError( propertyName + " should be boolean or an array." );
+	}
+
+	function getPassedMessage( passMessages, message, view, sourceView ) {
+		// apply the best matching entry of a `passMessages` hash to the message. Returns the message
+		// that should be passed up a level, or null if it should not be passed at all.
+		var value = getValueOfBestMatchingHashEntry( passMessages, message, view, sourceView );
+		if( value === null || value === false ) return null;
+
+		if( _.isFunction( value ) ) {
+			// transform functions return the message to pass, which keeps the original source
+			// and the envelope of the message it replaces
+			var passedMessage = value.call( view, message );
+			if( ! _.isObject( passedMessage ) ) return null;
+
+			return passedMessage === message ? message : adoptEnvelope( passedMessage, message );
+		} else if( _.isString( value ) ) {
+			// otherwise the value is the new name of the message, or "." to pass it unchanged
+			if( value !== "." ) message.name = value;
+		} else if( value !== true ) {
+			throw new TypeError( "The value of a passMessages entry should be a string, a function or boolean." );
+		}
+
+		return message;
+	}
+
+	function getValueOfBestMatchingHashEntry( hash, message, view, sourceView ) {
+		// return the value of the entry in a onMessages or passMessages hash that is the 
+		// "most specific" match for this message, or null, if there are no matches.
+		var entry = getBestMatchingHashEntry( hash, message, view, sourceView );
+		return entry ? entry.value : null;
+	}
+
+	function getBestMatchingHashEntry( hash, message, view, sourceView, rejectedKeys ) {
+		// return the "most specific" matching entry itself, as { key, source, value, params }.
+		// If supplied, keys that match the name of the message but not its source are added to `rejectedKeys`.
+		var candidates = getCandidateEntries( getCompiledHash( hash ), message.name );
+
+		for( var i = 0; i < candidates.length; i++ ) {
+			var entry = candidates[ i ];
+
+			// entries either need no source qualifier (in which case we will pass this message regardless
+			// of where it comes from), or a qualifier that matches the subview that is the source of the message
+			if( ! entry.source || ( sourceView && entry.source.matches( view, sourceView ) ) ) return entry;
+			if( rejectedKeys ) rejectedKeys.push( entry.key );
+		}
+
+		return null;
+	}
+
+	function getCompiledHash( hash ) {
+		// onMessages and passMessages hashes are compiled once, and the result is cached for as long as
+		// the same hash object is in use. Views that share a hash through their prototype share the result.
+		var compiledHash = compiledHashes ? compiledHashes.get( hash ) : undefined;
+
+		if( ! compiledHash ) {
+			compiledHash = compileHash( hash );
+			if( compiledHashes ) compiledHashes.set( hash, compiledHash );
+		}
+
+		return compiledHash;
+	}
+
+	function compileHash( hash ) {
+		var entries = _.map( _.keys( hash ), function( key, index ) {
+			// the first word of each key is the message name, which may contain * wildcards,
+			// and the optional second word is the name of the subview that is the source of the message
+			var match = key.match( delegateEventSplitter );
+			var eventName = match[ 1 ], source = compileSourceQualifier( match[ 2 ] );
+			var value = hash[ key ];
+			var regExMatch = eventName.match( regExpKeySplitter );
+			var wildcards = eventName.match( wildcardSplitter ) || [];
+			var pattern = null;
+			var nameSpecificity;
+
+			if( regExMatch ) {
+				// a message name of the form /pattern/flags is a regular expression. The g and y flags
+				// would make tests depend on previous tests, so they are ignored. Regular expressions rank
+				// below all plain names and * wildcards, since we can not tell how specific they are.
+				pattern = { regEx : new RegExp( regExMatch[ 1 ], regExMatch[ 2 ].replace( /[gy]/g, "" ) ), captureNames : [] };
+				nameSpecificity = -1;
+			} else {
+				if( wildcards.length ) pattern = compileWildcardPattern( eventName );
+				nameSpecificity = eventName.replace( wildcardSplitter, "" ).length;
+			}
+
+			if( isSourceMatchingValue( value ) ) {
+				// a value of the form { source, handler } matches the source with a view class or a predicate
+				source = combineSourceQualifiers( source, compileSourceMatchingFunction( value.source ) );
+				value = value.handler;
+			}
+
+			return {
+				key : key,
+				eventName : eventName,
+				source : source,
+				value : value,
+				pattern : pattern,
+
+				// entries are ordered by specificity, that is, in descending order of how many non-wild
+				// card characters they contain. Also, consider any entries that have source qualifier more
+				// specific than those that do not, and entries with a qualifier that names a single subview more
+				// specific than those with a qualifier that can match several. Between entries that are otherwise
+				// equally specific, those with fewer ** wildcards, and then those with fewer * wildcards ({name} included),
+				// are more specific.
+				rank : [
+					source ? source.tier : 0,
+					nameSpecificity,
+					- _.filter( wildcards, function( wildcard ) { return wildcard === "**"; } ).length,
+					- _.reject( wildcards, function( wildcard ) { return wildcard === "**"; } ).length
+				],
+				index : index
+			};
+		} );
+
+		// the entries that match a message name, in order of specificity, are looked up once per name
+		return { entries : entries.sort( compareEntrySpecificity ), candidatesByName : {}, cachedNameCount : 0 };
+	}
+
+	function getCandidateEntries( compiledHash, messageName ) {
+		// return the entries whose message name matches `messageName`, most specific first,
+		// as { key, source, value, params } objects
+		var candidatesByName = compiledHash.candidatesByName;
+
+		if( ! _.has( candidatesByName, messageName ) ) {
+			var candidates = [];
+
+			_.each( compiledHash.entries, function( entry ) {
+				var params = {};
+
+				if( entry.pattern ) {
+					var match = entry.pattern.regEx.exec( messageName );
+					if( ! match ) return;
+
+					// captured values are available by position, and named ones also by name
+					_.each( match.slice( 1 ), function( capturedValue, position ) {
+						params[ position ] = _.isUndefined( capturedValue ) ? "" : capturedValue;
+						if( entry.pattern.captureNames[ position ] ) params[ entry.pattern.captureNames[ position ] ] = params[ position ];
+					} );
+
+					_.extend( params, match.groups );
+				} else if( entry.eventName !== messageName ) return;
+
+				candidates.push( { key : entry.key, source : entry.source, value : entry.value, params : params } );
+			} );
+
+			if( compiledHash.cachedNameCount === maxCachedMessageNames ) {
+				candidatesByName = compiledHash.candidatesByName = {};
+				compiledHash.cachedNameCount = 0;
 			}
 
-			curElement = curElement.parent();
+			candidatesByName[ messageName ] = candidates;
+			compiledHash.cachedNameCount++;
 		}
 
-		return parent;
-	};
+		return candidatesByName[ messageName ];
+	}
+
+	function compareEntrySpecificity( entryA, entryB ) {
+		// sort in descending order of rank. entries that are equally specific stay in hash order.
+		for( var i = 0; i < entryA.rank.length; i++ ) {
+			if( entryA.rank[ i ] !== entryB.rank[ i ] ) return entryB.rank[ i ] - entryA.rank[ i ];
+		}
+
+		return entryA.index - entryB.index;
+	}
+
+	function compileSourceQualifier( qualifier ) {
+		// the second word of a key, if any, determines which children the message may come from. Returns
+		// null if there is no qualifier, or { tier, matches( view, sourceView ) }, where tier ranks the specificity
+		// of the qualifier. From most to least specific, a qualifier may be:
+		//   "sidebar"                 the name of a single subview, as resolved by _getChildViewNamed()
+		//   "sidebar|items[*]"        several alternatives, or "items[*]", any view in a collection of subviews
+		//   "<DatePickerView>"        any instance of the view class registered under the name DatePickerView
+		//   ".css-selector"           any child whose element matches a selector that starts with ".", "#" or "["
+		if( qualifier === "" ) return null;
+
+		if( /^[.#\[]/.test( qualifier ) ) return {
+			tier : 1,
+			matches : function( view, sourceView ) {
+				return elementMatchesSelector( sourceView.el, qualifier );
+			}
+		};
+
+		var alternatives = _.map( qualifier.split( "|" ), function( alternative ) {
+			var collectionMatch = alternative.match( /^(.+)\[\*\]$/ );
+			var classMatch = alternative.match( /^<(.+)>$/ );
+
+			if( classMatch ) return { className : classMatch[ 1 ] };
+			else return { subviewName : collectionMatch ? collectionMatch[ 1 ] : alternative, isCollection : !! collectionMatch };
+		} );
+
+		return {
+			tier : alternatives.length === 1 && alternatives[ 0 ].subviewName && ! alternatives[ 0 ].isCollection ? 3 : 2,
+			matches : function( view, sourceView ) {
+				return _.any( alternatives, function( alternative ) {
+					if( alternative.className ) return sourceView instanceof getRegisteredViewClass( alternative.className );
+
+					var subview = view._getChildViewNamed( alternative.subviewName );
+
+					// collections of subviews may be arrays or hashes of views
+					if( alternative.isCollection ) return _.isObject( subview ) && _.contains( subview, sourceView );
+					else return subview === sourceView;
+				} );
+			}
+		};
+	}
+
+	function isSourceMatchingValue( value ) {
+		return _.isObject( value ) && ! _.isFunction( value ) && _.has( value, "source" );
+	}
+
+	function compileSourceMatchingFunction( source ) {
+		// the `source` of a { source, handler } value is either a view class, which matches its instances,
+		// or a predicate function( sourceView ), which is invoked in the context of the receiving view
+		if( ! _.isFunction( source ) ) throw new TypeError( "The source of an onMessages entry should be a view class or a function." );
+
+		var isViewClass = source === Backbone.View || source.prototype instanceof Backbone.View;
+
+		return {
+			tier : 2,
+			matches : function( view, sourceView ) {
+				return isViewClass ? sourceView instanceof source : !! source.call( view, sourceView );
+			}
+		};
+	}
+
+	function combineSourceQualifiers( qualifierA, qualifierB ) {
+		// a source needs to match both qualifiers, when the key and the value of an entry each have one
+		if( ! qualifierA ) return qualifierB;
+
+		return {
+			tier : Math.max( qualifierA.tier, qualifierB.tier ),
+			matches : function( view, sourceView ) {
+				return qualifierA.matches( view, sourceView ) && qualifierB.matches( view, sourceView );
+			}
+		};
+	}
+
+	function getRegisteredViewClass( name ) {
+		// classes are looked up when messages are matched, so they may be registered after the hash is compiled
+		var ViewClass = Backbone.Courier.viewClasses[ name ];
+		if( ! _.isFunction( ViewClass ) ) throw new Error( "No view class is registered with the name \"" + name + "\"." );
+
+		return ViewClass;
+	}
+
+	function elementMatchesSelector( element, selector ) {
+		if( ! Backbone.Courier.nativeDom ) return $( element ).is( selector );
+
+		var matches = element.matches || element.msMatchesSelector || element.webkitMatchesSelector;
+		return !! matches && matches.call( element, selector );
+	}
+
+	function compileWildcardPattern( eventName ) {
+		// message names may be namespaced with : or . separators, as in "item:selected" or "grid.row.clicked".
+		// A * matches any characters within a single segment, but at least one when it makes up a whole segment,
+		// as in "item:*". A ** matches any number of whole segments, including none, so it needs to be bounded
+		// by separators or the ends of the name. Neither matches the ! at the end of the names of round trip
+		// messages. A {name} matches like a *, and also names the value it captures. Returns { regEx, captureNames }.
+		var tokens = eventName.split( wildcardSplitter ); // literal text at even indexes, wildcards at odd ones
+		var captureNames = [];
+
+		for( var i = 1; i < tokens.length; i += 2 ) {
+			var captureName = tokens[ i ].match( /^\{(\w+)\}$/ );
+			captureNames.push( captureName ? captureName[ 1 ] : null );
+
+			var isAtStart = i === 1 && tokens[ 0 ] === "";
+			var isAtEnd = i === tokens.length - 2 && ( tokens[ i + 1 ] === "" || tokens[ i + 1 ] === "!" );
+			var isPrecededBySeparator = /[:.]$/.test( tokens[ i - 1 ] );
+			var isFollowedBySeparator = /^[:.]/.test( tokens[ i + 1 ] );
+
+			if( tokens[ i ] !== "**" ) {
+				var isWholeSegment = ( isAtStart || isPrecededBySeparator ) && ( isAtEnd || isFollowedBySeparator );
+				tokens[ i ] = isWholeSegment ? "([^:.!]+)" : "([^:.!]*)";
+				continue;
+			}
+
+			if( isPrecededBySeparator && ( isAtEnd || isFollowedBySeparator ) ) {
+				// "grid.**" or "item:**:changed". The separator before the ** is only needed when it matches segments.
+				tokens[ i - 1 ] = tokens[ i - 1 ].slice( 0, -1 );
+				tokens[ i ] = "(?:[:.]([^:.!]+(?:[:.][^:.!]+)*))?";
+			} else if( isAtStart && isFollowedBySeparator ) {
+				// "**:changed". The separator after the ** is only needed when it matches segments.
+				tokens[ i + 1 ] = tokens[ i + 1 ].slice( 1 );
+				tokens[ i ] = "(?:([^:.!]+(?:[:.][^:.!]+)*)[:.])?";
+			} else if( isAtStart && isAtEnd ) {
+				// "**" on its own matches any name
+				tokens[ i ] = "([^!]*)";
+			} else throw new Error( "The ** in \"" + eventName + "\" should be bounded by separators or the ends of the name." );
+		}
+
+		for( i = 0; i < tokens.length; i += 2 ) tokens[ i ] = escapeRegExp( tokens[ i ] );
+
+		return { regEx : new RegExp( "^" + tokens.join( "" ) + "$" ), captureNames : captureNames };
+	}
+
+	function escapeRegExp( string ) {
+		return string.replace( /[\-\[\]\/\{\}\(\)\*\+\?\.\\\^\$\|]/g, "\\$&" );
+	}
+
+	function createTrace( message ) {
+		// trace records are kept in `Backbone.Courier.trace` while `Backbone.Courier.debug` is on
+		var trace = {
+			id : message.id,
+			name : message.name,
+			source : message.source,
+			hops : [],
+			stoppedAt : null,
+			reason : null,
+			answer : undefined
+		};
+
+		Backbone.Courier.trace.push( trace );
+		return trace;
+	}
+
+	function traceHop( trace, message, view ) {
+		var hop = {
+			view : view,
+			name : message.name,
+			matchedKey : null,
+			reason : null,
+			passed : false,
+			passReason : null
+		};
+
+		trace.hops.push( hop );
+		return hop;
+	}
+
+	function logTrace( trace ) {
+		if( typeof console === "undefined" ) return;
+
+		var group = _.isFunction( console.groupCollapsed ) ? "groupCollapsed" : "log";
+		console[ group ]( "Backbone.Courier: \"" + trace.name + "\" spawned by " + describeView( trace.source ) );
+
+		_.each( trace.hops, function( hop ) {
+			console.log( describeView( hop.view ) + ": " +
+				( hop.matchedKey !== null ? "handled \"" + hop.name + "\" with \"" + hop.matchedKey + "\"" : "did not handle \"" + hop.name + "\" (" + hop.reason + ")" ) +
+				( hop.passReason ? ", " + ( hop.passed ? "passed" : "did not pass" ) + " it (" + hop.passReason + ")" : "" ) );
+		} );
+
+		console.log( "Stopped at " + describeView( trace.stoppedAt ) + ": " + trace.reason );
+		if( _.isFunction( console.groupEnd ) ) console.groupEnd();
+	}
+
+	function describeView( view ) {
+		var description = view.cid;
+		if( view.el && view.el.tagName ) description += " <" + view.el.tagName.toLowerCase() + ( view.el.id ? "#" + view.el.id : "" ) + ">";
+		return description;
+	}
+
+	// a base view class with courier functionality, for views that are not
+	// derived from other classes that have courier functionality mixed in. Its
+	// constructor accepts a `courierParent` option, see view.setCourierParent()
+	Backbone.CourierView = Backbone.Courier.mixin( Backbone.View.extend( {
+		constructor : function( options ) {
+			// the parent is assigned before `initialize` is called, so that views can inject values there
+			if( options && options.courierParent ) this.setCourierParent( options.courierParent );
+			Backbone.View.apply( this, arguments );
+		}
+	} ) );
 
 	return Backbone.Courier;
 } ) );
@@ -76,6 +76,420 @@ $(document).ready(function() {
 		equal( this.childView.spawn('roundtripMessage!'), undefined, 'Unhandled round trip message returns undefined');
 	});
 
+	test('Spawn roundtrip message declined by parent', 3, function() {
+
+		this.parentView.onMessages = {
+			"giveMeInfo!" : function(data) {
+				if(!data.local) return Backbone.Courier.CONTINUE;
+				return 'parent info';
+			}
+		};
+		this.grandparentView.onMessages = {
+			"giveMeInfo!" : function() {
+				return 'grandparent info';
+			}
+		};
+
+		equal(this.childView.spawn('giveMeInfo!', {local : true}), 'parent info', 'Parent answered');
+		equal(this.childView.spawn('giveMeInfo!', {local : false}), 'grandparent info', 'Grandparent answered the message declined by parent');
+
+		this.grandparentView.onMessages = {};
+		equal(this.childView.spawn('giveMeInfo!', {local : false}), undefined, 'Message declined by every handler returns undefined');
+
+	});
+
+	test('Spawn roundtrip message declined through the envelope or ended with STOP', 2, function() {
+
+		this.parentView.onMessages = {
+			"giveMeInfo!" : Backbone.Courier.envelope(function(message) {
+				message.continuePropagation();
+			})
+		};
+		this.grandparentView.onMessages = {
+			"giveMeInfo!" : function() {
+				return 'grandparent info';
+			}
+		};
+
+		equal(this.childView.spawn('giveMeInfo!'), 'grandparent info', 'Grandparent answered the message declined through the envelope');
+
+		this.parentView.onMessages = {
+			"giveMeInfo!" : function() {
+				return Backbone.Courier.STOP;
+			}
+		};
+
+		equal(this.childView.spawn('giveMeInfo!'), undefined, 'STOP ended the round trip without an answer');
+
+	});
+
+	test('Intermediate views transform roundtrip answers with onAnswers', 4, function() {
+
+		var greatGrandparentView = new Backbone.View({el : $('<div></div>').appendTo('#qunit-fixture')});
+		greatGrandparentView.$el.append(this.grandparentView.$el);
+		Backbone.Courier.add(greatGrandparentView);
+
+		var _this = this;
+		greatGrandparentView.onMessages = {
+			"giveMeWidth!" : function() {
+				return 100;
+			}
+		};
+		this.grandparentView.onAnswers = {
+			"giveMeWidth!" : function(answer) {
+				return answer - 20;
+			}
+		};
+		this.parentView.onAnswers = {
+			"giveMe*! child" : function(answer, data, source, messageName, params) {
+				equal(source, _this.childView, 'Transformer receives the source of the message');
+				deepEqual(params, {0 : 'Width'}, 'Transformer receives the captured params');
+				return answer + data.unit;
+			}
+		};
+		this.parentView.subviews = {child : this.childView};
+
+		equal(this.childView.spawn('giveMeWidth!', {unit : 'px'}), '80px', 'Answer was transformed by the grandparent and then the parent');
+
+		this.grandparentView.onMessages = {
+			"giveMeWidth!" : function() {
+				return 50;
+			}
+		};
+		this.parentView.onAnswers = {};
+
+		equal(this.childView.spawn('giveMeWidth!'), 50, 'The view that answered does not transform its own answer');
+
+	});
+
+	test('onAnswers does not run for unanswered roundtrip messages', 3, function() {
+
+		this.parentView.onAnswers = {
+			"giveMeTheme!" : function(theme) {
+				ok(false, 'Transformer should not run without an answer');
+				return {wrapped : theme};
+			}
+		};
+
+		equal(this.childView.spawn('giveMeTheme!'), undefined, 'Message that reached the top without an answer returns undefined');
+
+		this.grandparentView.onMessages = {
+			"giveMeTheme!" : function() {
+				return Backbone.Courier.STOP;
+			}
+		};
+
+		equal(this.childView.spawn('giveMeTheme!'), undefined, 'Message ended with STOP returns undefined');
+
+		var _this = this;
+		var middleware = function(message, view, next) {
+			if(view !== _this.grandparentView) return next();
+		};
+		Backbone.Courier.use(middleware);
+
+		equal(this.childView.spawn('giveMeTheme!'), undefined, 'Message dropped by a middleware returns undefined');
+
+		Backbone.Courier.unuse(middleware);
+
+	});
+
+	asyncTest('onAnswers does not run for unanswered asynchronous roundtrip messages', 1, function() {
+
+		this.parentView.onAnswers = {
+			"giveMeTheme!" : function(theme) {
+				return {wrapped : theme};
+			}
+		};
+
+		this.childView.spawn({name : 'giveMeTheme!', async : true}).then(function(answer) {
+			equal(answer, undefined, 'Promise resolved with undefined');
+			start();
+		});
+	});
+
+	asyncTest('Spawn asynchronous roundtrip message (onAnswers receives the resolved answer)', 1, function() {
+
+		this.grandparentView.onMessages = {
+			"giveMeWidth!" : function() {
+				return new Promise(function(resolve) {
+					setTimeout(function() { resolve(100); }, 0);
+				});
+			}
+		};
+		this.parentView.onAnswers = {
+			"giveMeWidth!" : Backbone.Courier.envelope(function(message) {
+				return new Promise(function(resolve) {
+					resolve(message.answer / 2);
+				});
+			})
+		};
+
+		this.childView.spawn({name : 'giveMeWidth!', async : true}).then(function(answer) {
+			equal(answer, 50, 'Promise resolved with the transformed answer');
+			start();
+		});
+	});
+
+	asyncTest('Spawn asynchronous roundtrip message (handler returns a promise)', 2, function() {
+
+		this.grandparentView.onMessages = {
+			"confirm!" : function(data) {
+				return new Promise(function(resolve) {
+					setTimeout(function() { resolve(data.question + ' yes'); }, 0);
+				});
+			}
+		};
+
+		var returnValue = this.childView.spawn({name : 'confirm!', data : {question : 'Sure?'}, async : true});
+
+		ok(_.isFunction(returnValue.then), 'Asynchronous round trip returns a promise');
+		returnValue.then(function(answer) {
+			equal(answer, 'Sure? yes', 'Promise resolved with the eventual answer');
+			start();
+		});
+	});
+
+	asyncTest('Spawn asynchronous roundtrip message (handler returns a plain value or thenable)', 2, function() {
+
+		var _this = this;
+		this.parentView.onMessages = {
+			"plain!" : function() {
+				return 'plain value';
+			},
+			"thenable!" : function() {
+				return {then : function(onFulfilled) { onFulfilled('thenable value'); }};
+			}
+		};
+
+		this.childView.spawn({name : 'plain!', async : true}).then(function(answer) {
+			equal(answer, 'plain value', 'Plain return values are resolved');
+			return _this.childView.spawn({name : 'thenable!', async : true});
+		}).then(function(answer) {
+			equal(answer, 'thenable value', 'Thenables are adopted');
+			start();
+		});
+	});
+
+	asyncTest('Spawn asynchronous roundtrip message (handler throws)', 1, function() {
+
+		var error = new Error('No answer');
+		this.parentView.onMessages = {
+			"giveMeInfo!" : function() {
+				throw error;
+			}
+		};
+
+		this.childView.spawn({name : 'giveMeInfo!', async : true}).then(function() {
+			ok(false, 'Promise should not have been resolved');
+			start();
+		}, function(reason) {
+			equal(reason, error, 'Promise rejected with the thrown exception');
+			start();
+		});
+	});
+
+	asyncTest('Spawn unhandled asynchronous roundtrip message', 1, function() {
+
+		this.childView.spawn({name : 'roundtripMessage!', async : true}).then(function(answer) {
+			equal(answer, undefined, 'Unhandled asynchronous round trip message resolves to undefined');
+			start();
+		});
+	});
+
+	module("Backbone.Courier.mixin",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="grandparent"></div>');
+				var $grandparent = $('#grandparent');
+				$grandparent.append('<div id="parent"></div>');
+				var $parent = $('#parent');
+				$parent.append('<div id="child"></div><div id="child2"></div>');
+
+				this.ParentViewClass = Backbone.Courier.mixin(Backbone.View.extend({
+					onMessages : {
+						"message1" : "_onMessage1"
+					}
+				}));
+
+				this.grandparentView = new Backbone.CourierView({el : $grandparent});
+				this.parentView = new this.ParentViewClass({el : $parent});
+				this.childView = new Backbone.CourierView({el : $('#child')});
+				this.childView2 = new Backbone.CourierView({el : $('#child2')});
+			}
+		}
+	);
+
+	test('Courier methods are installed once on the prototype', 3, function() {
+
+		ok(! _.has(this.childView, 'spawn'), 'spawn is not an instance property');
+		equal(this.childView.spawn, this.childView2.spawn, 'Instances share spawn');
+		equal(this.childView._getParentView, this.childView2._getParentView, 'Instances share _getParentView');
+
+	});
+
+	test('Views of mixed in classes spawn and handle messages', 3, function() {
+
+		var _this = this;
+		this.parentView._onMessage1 = function(data, source) {
+			equal(source, _this.childView2, 'Parent heard message from its child');
+		};
+		this.grandparentView.onMessages = {
+			"giveMeInfo!" : function() {
+				return 'info';
+			}
+		};
+
+		this.childView2.spawn('message1');
+		equal(this.childView.spawn('giveMeInfo!'), 'info', 'Round trip message handled by grandparent');
+		equal(this.childView._getParentView(), this.parentView, 'Parent view found through the DOM');
+
+	});
+
+	test('setElement registers the new element', 2, function() {
+
+		var $newElement = $('<div></div>').appendTo($('#grandparent'));
+		this.childView.setElement($newElement);
+
+		equal($newElement.data('view'), this.childView, 'New element is registered');
+		equal(this.childView._getParentView(), this.grandparentView, 'Parent view found from the new element');
+
+	});
+
+	test('Backbone.Courier.add does not install courier functionality twice', 1, function() {
+
+		var setElement = this.childView.setElement;
+		Backbone.Courier.add(this.childView);
+
+		equal(this.childView.setElement, setElement, 'setElement was not wrapped again');
+
+	});
+
+	module("Element registration cleanup",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="parent"><div id="child"></div></div>');
+
+				this.parentView = new Backbone.View({el : $('#parent')});
+				Backbone.Courier.add(this.parentView);
+				this.childView = new Backbone.View({el : $('#child')});
+				Backbone.Courier.add(this.childView);
+			}
+		}
+	);
+
+	test('setElement releases the old element', 2, function() {
+
+		var $oldElement = this.parentView.$el;
+		var $newElement = $('<div id="newParent"></div>').appendTo('#qunit-fixture');
+		this.parentView.setElement($newElement);
+
+		equal($oldElement.data('view'), undefined, 'Old element no longer refers to the view');
+		equal(this.childView._getParentView(), null, 'Messages are no longer routed to the view through its old element');
+
+	});
+
+	test('remove releases the element', 1, function() {
+
+		Backbone.Courier.nativeDom = true;
+
+		var parentView = new Backbone.CourierView();
+		var childView = new Backbone.CourierView();
+		parentView.$el.append(childView.el).appendTo('#qunit-fixture');
+		parentView.remove();
+
+		// re-attach the element of the removed view, which no longer has a view
+		$('#qunit-fixture').append(parentView.el);
+		equal(childView._getParentView(), null, 'Messages are not routed to the removed view');
+
+		Backbone.Courier.nativeDom = false;
+
+	});
+
+	test('Elements registered by other views are not released', 1, function() {
+
+		var otherView = new Backbone.View({el : this.childView.el});
+		Backbone.Courier.add(otherView);
+		otherView.setElement($('<div></div>'));
+
+		equal(this.childView.$el.data('view'), this.childView, 'Element still refers to the view that registered it');
+
+	});
+
+	test('Backbone.Courier.remove detaches courier functionality', 5, function() {
+
+		var prototypeSetElement = Backbone.View.prototype.setElement;
+		Backbone.Courier.remove(this.childView);
+
+		equal(this.childView.$el.data('view'), undefined, 'Element no longer refers to the view');
+		ok(! _.has(this.childView, 'spawn'), 'spawn was removed');
+		ok(! _.has(this.childView, '_getParentView'), '_getParentView was removed');
+		equal(this.childView.setElement, prototypeSetElement, 'setElement was restored');
+
+		this.childView.setElement($('<div></div>'));
+		equal(this.childView.$el.data('view'), undefined, 'New element is not registered');
+
+	});
+
+	module("Views sharing an element",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="layout"><div id="region"><div id="child"></div></div></div>');
+
+				this.layoutView = new Backbone.CourierView({el : $('#layout')});
+				this.wrapperView = new Backbone.CourierView({el : $('#region')});
+				this.innerView = new Backbone.CourierView({el : $('#region')});
+				this.childView = new Backbone.CourierView({el : $('#child')});
+			}
+		}
+	);
+
+	test('Views sharing an element are stacked from the outermost to the innermost', 5, function() {
+
+		equal(this.childView._getParentView(), this.innerView, 'Parent of a child is the innermost view');
+		equal(this.innerView._getParentView(), this.wrapperView, 'Parent of the inner view is the wrapper view');
+		equal(this.wrapperView._getParentView(), this.layoutView, 'Parent of the wrapper view is found through the DOM');
+		deepEqual(this.layoutView._getChildViews(), [this.wrapperView], 'Child of the layout is the wrapper view');
+		deepEqual(this.wrapperView._getChildViews(), [this.innerView], 'Child of the wrapper view is the inner view');
+
+	});
+
+	test('Messages are delivered to all views sharing an element, innermost first', 3, function() {
+
+		var _this = this;
+		var handlers = [];
+		this.innerView.onMessages = {
+			"selected" : function() { handlers.push('inner'); }
+		};
+		this.innerView.passMessages = true;
+		this.wrapperView.onMessages = {
+			"selected" : function(data, source) {
+				handlers.push('wrapper');
+				equal(source, _this.childView, 'Source is the original child');
+			}
+		};
+		this.layoutView.onMessages = {
+			"giveMeInfo!" : function() { return 'info'; }
+		};
+
+		this.childView.spawn('selected');
+
+		deepEqual(handlers, ['inner', 'wrapper'], 'Inner view handled the message before the wrapper view');
+		equal(this.childView.spawn('giveMeInfo!'), 'info', 'Round trip message passed through both views');
+
+	});
+
+	test('Releasing one of the views sharing an element keeps the others', 2, function() {
+
+		this.innerView.setElement($('<div></div>'));
+
+		equal(this.childView._getParentView(), this.wrapperView, 'Parent of the child is the remaining view');
+		equal($('#region').data('view'), this.wrapperView, 'Element data still refers to the outermost view');
+
+	});
+
 	module("View.onMessages",
 		{
 
@@ -178,53 +592,547 @@ $(document).ready(function() {
 
 //End: Reused onMessages tests.
 
+	test('Every non-wildcard character counts towards specificity', 1, function() {
 
-	test('Handle a specific message from specific child (using built-in subviews hash)', 1, handleMessageFromChild);
+		this.parentView.onMessages = {
+			"*e*s*" : function() {
+				ok(false, 'Less specific entry should not have heard the message');
+			},
+			"mes*" : function() {
+				ok(true, 'Most specific entry heard the message');
+			}
+		};
 
-	test('Handle any message from specific child (using built-in subviews hash)', 2, handleAnyMessageFromChild);
+		this.childView.spawn('message1');
 
-	test('Testing message name specificity in onMessages hash when using "*"', 2, testMessageNameSpecificity);
+	});
 
-	module("View._getChildViewNamed",
-		{
+	test('Replacing the onMessages hash takes effect', 2, function() {
 
-			setup: function() {
+		this.parentView.onMessages = {
+			"message1" : function() {
+				ok(true, 'Heard message with first hash');
+			}
+		};
+		this.childView.spawn('message1');
 
-				var _this = this;
-				var $fixture = $('#qunit-fixture');
-				$fixture.append('<div id="grandparent"></div>');
-				var $grandparent = $('#grandparent');
-				$grandparent.append('<div id="parent"></div>');
-				var $parent = $('#parent');
-				$parent.append('<div id="child"></div>');
-				var $child = $('#child');
-				$parent.append('<div id="child2"></div>');
-				var $child2 = $('#child2');
+		this.parentView.onMessages = {
+			"message1" : function() {
+				ok(true, 'Heard message with replacement hash');
+			}
+		};
+		this.childView.spawn('message1');
 
-				this.grandparentView = new Backbone.View({el : $grandparent});
-				Backbone.Courier.add(this.grandparentView);
+	});
 
-				this.parentView = new Backbone.View({el : $parent});
-				Backbone.Courier.add(this.parentView);
+	test('Views share an onMessages hash on their prototype', 2, function() {
 
-				this.childView = new Backbone.View({el : $child});
-				Backbone.Courier.add(this.childView);
+		var ListView = Backbone.CourierView.extend({
+			onMessages : {
+				"sel* child1" : function(data) {
+					ok(true, 'Heard message ' + data);
+				}
+			}
+		});
 
-				this.childView2 = new Backbone.View({el : $child2});
-				Backbone.Courier.add(this.childView2);
+		var listView1 = new ListView({el : this.parentView.el});
+		listView1.subviews = {child1 : this.childView};
+		var listView2 = new ListView();
+		listView2.subviews = {child1 : this.childView2};
+		listView2.$el.append(this.childView2.el);
 
-				this.parentView._getChildViewNamed = function(childViewName) {
+		this.childView.spawn('selected', 'from first view');
+		this.childView2.spawn('selected', 'from second view');
 
-					if( childViewName === 'child1' ) {
-						return _this.childView;
-					}
-					else if( childViewName === 'child2' ) {
-						return _this.childView2;
-					}
-					else {
-						throw new Error('Unknown view name: ' + childViewName);
-					}
-				};
+	});
+
+	test('Hashes are compiled once, and matching entries are looked up once per message name', 4, function() {
+
+		// captured values are supplied in the params object of the matching entry, so the
+		// same object is received for as long as the entries for a message name are remembered
+		var receivedParams = [];
+		var handler = function(data, source, messageName, params) {
+			receivedParams.push(params);
+		};
+
+		var reads = 0;
+		var onMessages = {};
+		Object.defineProperty(onMessages, '/^row-(\\d+)$/', {
+			enumerable : true,
+			get : function() {
+				reads++;
+				return handler;
+			}
+		});
+		this.parentView.onMessages = onMessages;
+
+		this.childView.spawn('row-1');
+		this.childView.spawn('row-1');
+		this.childView.spawn('row-2');
+		equal(reads, 1, 'Hash compiled once');
+		strictEqual(receivedParams[1], receivedParams[0], 'Entries looked up once per message name');
+
+		var firstParams = receivedParams[0];
+		for(var i = 3; i < 200; i++) this.childView.spawn('row-' + i);
+		receivedParams = [];
+		this.childView.spawn('row-1');
+		this.childView.spawn('row-1');
+		notStrictEqual(receivedParams[0], firstParams, 'Entries looked up again for a name that was forgotten when too many names were remembered');
+		strictEqual(receivedParams[1], receivedParams[0], 'Name is remembered again');
+
+	});
+
+	test('Regular expression keys', 4, function() {
+
+		this.parentView.onMessages = {
+			"/^item(Selected|Deselected)$/" : function(data, source, messageName) {
+				ok(true, 'Regular expression heard ' + messageName);
+			},
+			"/^ITEM-[0-9]+$/i" : function(data, source, messageName) {
+				equal(messageName, 'item-42', 'Regular expression with flags heard ' + messageName);
+			},
+			"/^other/ child2" : function() {
+				ok(false, 'Should not have heard message from child1');
+			}
+		};
+
+		this.childView.spawn('itemSelected');
+		this.childView.spawn('itemDeselected');
+		this.childView.spawn('itemChanged');
+		this.childView.spawn('item-42');
+		this.childView.spawn('item-42');
+		this.childView.spawn('otherMessage');
+
+	});
+
+	test('Regular expression keys rank below names and wildcards with the same source qualifier', 3, function() {
+
+		this.parentView.onMessages = {
+			"/^message\\d$/ child1" : function() {
+				ok(true, 'Regular expression with source qualifier heard message2');
+			},
+			"/^message\\d$/" : function() {
+				ok(false, 'Regular expression without source qualifier should not have heard a message');
+			},
+			"*" : function(data, source, messageName) {
+				ok(true, 'Wildcard heard ' + messageName);
+			},
+			"message1 child1" : function() {
+				ok(true, 'Name with source qualifier heard message1');
+			}
+		};
+
+		this.childView.spawn('message1');
+		this.childView.spawn('message2');
+		this.childView2.spawn('message3');
+
+	});
+
+	test('Wildcards in namespaced message names', 9, function() {
+
+		var heard = {};
+		var handler = function(key) {
+			return function(data, source, messageName) {
+				heard[messageName] = key;
+			};
+		};
+
+		this.parentView.onMessages = {
+			"item:*" : handler('item:*'),
+			"grid.**" : handler('grid.**'),
+			"**:changed" : handler('**:changed'),
+			"item:**:removed" : handler('item:**:removed'),
+			"*" : handler('*')
+		};
+
+		var names = ['item:selected', 'item:row-1', 'item:row:selected', 'grid', 'grid.row.clicked', 'color:changed', 'changed', 'item:removed', 'item:a.b:removed'];
+		_.each(names, function(name) {
+			this.childView.spawn(name);
+		}, this);
+
+		equal(heard['item:selected'], 'item:*', '* matches one segment');
+		equal(heard['item:row-1'], 'item:*', '* matches segments containing dashes');
+		equal(heard['item:row:selected'], undefined, '* does not match more than one segment');
+		equal(heard['grid'], 'grid.**', '** matches no segments');
+		equal(heard['grid.row.clicked'], 'grid.**', '** matches several segments');
+		equal(heard['color:changed'], '**:changed', 'Leading ** matches one segment');
+		equal(heard['changed'], '**:changed', 'Leading ** matches no segments');
+		equal(heard['item:removed'], 'item:**:removed', '** in the middle matches no segments');
+		equal(heard['item:a.b:removed'], 'item:**:removed', '** in the middle matches several segments');
+
+	});
+
+	test('Wildcards do not match round trip messages unless the key ends in !', 2, function() {
+
+		this.parentView.onMessages = {
+			"*" : function() {
+				ok(false, '* should not have heard a round trip message');
+			},
+			"grid.**!" : function(data, source, messageName) {
+				return messageName;
+			}
+		};
+
+		equal(this.childView.spawn('grid.row.giveMeInfo!'), 'grid.row.giveMeInfo!', 'Round trip message matched by key ending in !');
+		equal(this.childView.spawn('giveMeInfo!'), undefined, 'Round trip message not matched by *');
+
+	});
+
+	test('More specific namespaces win', 3, function() {
+
+		var heardBy;
+		this.parentView.onMessages = {
+			"item:**" : function() { heardBy = 'item:**'; },
+			"item:*" : function() { heardBy = 'item:*'; },
+			"item:*:changed" : function() { heardBy = 'item:*:changed'; },
+			"item:color:*" : function() { heardBy = 'item:color:*'; }
+		};
+
+		this.childView.spawn('item:selected');
+		equal(heardBy, 'item:*', '* wins over ** with the same non-wildcard characters');
+
+		this.childView.spawn('item:size:changed');
+		equal(heardBy, 'item:*:changed', 'Entry with more non-wildcard characters wins');
+
+		this.childView.spawn('item:color:changed');
+		equal(heardBy, 'item:*:changed', 'Entry with more non-wildcard characters wins over a longer namespace');
+
+	});
+
+	test('Values captured by wildcards are passed as params', 6, function() {
+
+		var params = {};
+		this.parentView.onMessages = {
+			"item:{field}:changed" : function(data, source, messageName, captured) {
+				params.field = captured;
+			},
+			"*Selected" : function(data, source, messageName, captured) {
+				params.selected = captured;
+			},
+			"grid.**" : function(data, source, messageName, captured) {
+				params.grid = captured;
+			},
+			"/^row-(\\d+)$/" : function(data, source, messageName, captured) {
+				params.row = captured;
+			},
+			"plain" : function(data, source, messageName, captured) {
+				params.plain = captured;
+			}
+		};
+
+		this.childView.spawn('item:color:changed');
+		this.childView.spawn('rowSelected');
+		this.childView.spawn('grid.row.clicked');
+		this.childView.spawn('grid');
+		this.childView.spawn('row-12');
+		this.childView.spawn('plain');
+
+		deepEqual(params.field, {0 : 'color', field : 'color'}, 'Named capture is available by name and position');
+		deepEqual(params.selected, {0 : 'row'}, '* capture is available by position');
+		deepEqual(params.grid, {0 : ''}, '** capture of no segments is an empty string');
+		deepEqual(params.row, {0 : '12'}, 'Regular expression groups are available by position');
+		deepEqual(params.plain, {}, 'Plain keys get empty params');
+
+		this.parentView.onMessages = {
+			"grid.**" : function(data, source, messageName, captured) {
+				equal(captured[0], 'row.clicked', '** captures the segments it matched');
+			}
+		};
+		this.childView.spawn('grid.row.clicked');
+
+	});
+
+	test('Named captures count as * wildcards for specificity, and reach envelope handlers', 2, function() {
+
+		this.parentView.onMessages = {
+			"item:{field}" : Backbone.Courier.envelope(function(message) {
+				equal(message.params.field, 'size', 'Envelope handler reads params from the message');
+			}),
+			"item:*" : function() {
+				ok(false, 'Entry declared later with the same specificity should lose');
+			},
+			"**" : function() {
+				ok(false, '** is less specific than a named capture');
+			}
+		};
+		this.childView.spawn('item:size');
+
+		this.parentView.onMessages = {
+			"{name}" : function(data, source, messageName, captured) {
+				equal(captured.name, 'clicked', 'Key that is only a named capture');
+			}
+		};
+		this.childView.spawn('clicked');
+
+	});
+
+	test('Wildcards do not match empty segments, and ** needs to be bounded by separators', 5, function() {
+
+		var _this = this;
+		var heard = [];
+		this.parentView.onMessages = {
+			"item:*" : function(data, source, messageName) {
+				heard.push(messageName);
+			},
+			"selected*" : function(data, source, messageName) {
+				heard.push('selected* ' + messageName);
+			},
+			"**" : function(data, source, messageName) {
+				heard.push('** ' + messageName);
+			}
+		};
+
+		this.childView.spawn('item:');
+		this.childView.spawn('item:a');
+		deepEqual(heard, ['** item:', 'item:a'], '* does not match an empty segment, and ** on its own matches any name');
+
+		heard = [];
+		this.childView.spawn('selected');
+		this.childView.spawn('selectedItem');
+		deepEqual(heard, ['selected* selected', 'selected* selectedItem'], '* within a segment matches no characters as well');
+
+		_.each(['a**b', 'a.**b', 'a**.b'], function(key) {
+			var onMessages = {};
+			onMessages[key] = function() {};
+			_this.parentView.onMessages = onMessages;
+
+			throws(function() {
+				_this.childView.spawn('a.x.b');
+			}, /should be bounded by separators/, key + ' throws');
+		});
+
+	});
+
+	test('Special characters in wildcard keys are matched literally', 1, function() {
+
+		this.parentView.onMessages = {
+			"a.b*" : function(data, source, messageName) {
+				equal(messageName, 'a.bc', 'Heard message with a literal dot');
+			}
+		};
+
+		this.childView.spawn('a.bc');
+		this.childView.spawn('aXbc');
+
+	});
+
+
+	test('Source qualifiers with alternatives', 2, function() {
+
+		var heardFrom = [];
+		this.parentView.onMessages = {
+			"selected sidebar|child2" : function(data, source) {
+				heardFrom.push(source);
+			}
+		};
+
+		this.childView.spawn('selected');
+		this.childView2.spawn('selected');
+
+		equal(heardFrom.length, 1, 'Heard the message once');
+		equal(heardFrom[0], this.childView2, 'Heard the message from the child named in the second alternative');
+
+	});
+
+	test('Source qualifiers that match collections of subviews', 3, function() {
+
+		var heardFrom = [];
+		this.parentView.onMessages = {
+			"selected items[*]" : function(data, source) {
+				heardFrom.push(source);
+			}
+		};
+
+		this.parentView.subviews.items = [this.childView2];
+		this.childView.spawn('selected');
+		this.childView2.spawn('selected');
+		deepEqual(heardFrom, [this.childView2], 'Heard the message only from the view in the array');
+
+		this.parentView.subviews.items = {first : this.childView, second : this.childView2};
+		heardFrom = [];
+		this.childView.spawn('selected');
+		this.childView2.spawn('selected');
+		deepEqual(heardFrom, [this.childView, this.childView2], 'Heard the message from both views in the hash');
+
+		delete this.parentView.subviews.items;
+		heardFrom = [];
+		this.childView.spawn('selected');
+		deepEqual(heardFrom, [], 'Did not hear the message when there is no such collection');
+
+	});
+
+	test('Source qualifiers that are selectors', 1, function() {
+
+		var heardFrom = [];
+		this.parentView.onMessages = {
+			"selected .selectable" : function(data, source) {
+				heardFrom.push(source);
+			},
+			"selected #child" : function(data, source) {
+				heardFrom.push('#child');
+			}
+		};
+
+		this.childView2.$el.addClass('selectable');
+		this.childView.spawn('selected');
+		this.childView2.spawn('selected');
+
+		deepEqual(heardFrom, ['#child', this.childView2], 'Heard the message from the children whose elements match');
+
+	});
+
+	test('Single subview names are more specific than alternatives, which are more specific than selectors', 3, function() {
+
+		var heardBy;
+		this.parentView.onMessages = {
+			"selected .selectable" : function() { heardBy = 'selector'; },
+			"selected child1|child2" : function() { heardBy = 'alternatives'; },
+			"sel* child1" : function() { heardBy = 'name'; },
+			"selected" : function() { heardBy = 'none'; }
+		};
+
+		this.childView.$el.addClass('selectable');
+		this.childView2.$el.addClass('selectable');
+		this.childView.spawn('selected');
+		equal(heardBy, 'name', 'Single subview name wins, even with fewer non-wildcard characters');
+
+		this.childView2.spawn('selected');
+		equal(heardBy, 'alternatives', 'Alternatives win over a selector');
+
+		delete this.parentView.subviews.child2;
+		this.childView2.spawn('selected');
+		equal(heardBy, 'selector', 'Selector wins over no qualifier');
+
+	});
+
+	test('Source qualifiers that name a registered view class', 3, function() {
+
+		var DatePickerView = Backbone.View.extend();
+		var RangePickerView = DatePickerView.extend();
+		Backbone.Courier.registerViewClass('DatePickerView', DatePickerView);
+
+		var $parent = this.parentView.$el;
+		var datePickerView = new DatePickerView({el : $('<div></div>').appendTo($parent)});
+		var rangePickerView = new RangePickerView({el : $('<div></div>').appendTo($parent)});
+		Backbone.Courier.add(datePickerView);
+		Backbone.Courier.add(rangePickerView);
+
+		var heardFrom = [];
+		this.parentView.onMessages = {
+			"changed <DatePickerView>" : function(data, source) {
+				heardFrom.push(source);
+			}
+		};
+
+		datePickerView.spawn('changed');
+		rangePickerView.spawn('changed');
+		deepEqual(heardFrom, [datePickerView, rangePickerView], 'Heard the message from instances of the class and its subclasses');
+
+		heardFrom = [];
+		this.childView.spawn('changed');
+		deepEqual(heardFrom, [], 'Did not hear the message from a view of another class');
+
+		this.parentView.onMessages = {
+			"changed <UnknownView>" : function() {}
+		};
+		throws(function() {
+			datePickerView.spawn('changed');
+		}, /UnknownView/, 'Unregistered class names throw');
+
+		delete Backbone.Courier.viewClasses.DatePickerView;
+
+	});
+
+	test('Source matching with a view class or a predicate in the value of an entry', 4, function() {
+
+		var DatePickerView = Backbone.View.extend();
+		var datePickerView = new DatePickerView({el : $('<div class="date"></div>').appendTo(this.parentView.$el)});
+		Backbone.Courier.add(datePickerView);
+
+		var _this = this;
+		var heardFrom = [];
+		this.parentView.onMessages = {
+			"changed" : {
+				source : DatePickerView,
+				handler : function(data, source) {
+					heardFrom.push(source);
+				}
+			},
+			"selected" : {
+				source : function(sourceView) {
+					equal(this, _this.parentView, 'Predicate is invoked in the context of the receiving view');
+					return sourceView.$el.hasClass('date');
+				},
+				handler : "_onDateSelected"
+			}
+		};
+		this.parentView._onDateSelected = function(data, source) {
+			heardFrom.push(source);
+		};
+
+		datePickerView.spawn('changed');
+		this.childView.spawn('changed');
+		deepEqual(heardFrom, [datePickerView], 'View class in the value matches only its instances');
+
+		heardFrom = [];
+		datePickerView.spawn('selected');
+		deepEqual(heardFrom, [datePickerView], 'Predicate in the value matches the views it accepts');
+
+		this.parentView.onMessages = {
+			"changed" : {source : 'DatePickerView', handler : function() {}}
+		};
+		throws(function() {
+			datePickerView.spawn('changed');
+		}, TypeError, 'Source that is not a function throws');
+
+	});
+
+	test('Handle a specific message from specific child (using built-in subviews hash)', 1, handleMessageFromChild);
+
+	test('Handle any message from specific child (using built-in subviews hash)', 2, handleAnyMessageFromChild);
+
+	test('Testing message name specificity in onMessages hash when using "*"', 2, testMessageNameSpecificity);
+
+	module("View._getChildViewNamed",
+		{
+
+			setup: function() {
+
+				var _this = this;
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="grandparent"></div>');
+				var $grandparent = $('#grandparent');
+				$grandparent.append('<div id="parent"></div>');
+				var $parent = $('#parent');
+				$parent.append('<div id="child"></div>');
+				var $child = $('#child');
+				$parent.append('<div id="child2"></div>');
+				var $child2 = $('#child2');
+
+				this.grandparentView = new Backbone.View({el : $grandparent});
+				Backbone.Courier.add(this.grandparentView);
+
+				this.parentView = new Backbone.View({el : $parent});
+				Backbone.Courier.add(this.parentView);
+
+				this.childView = new Backbone.View({el : $child});
+				Backbone.Courier.add(this.childView);
+
+				this.childView2 = new Backbone.View({el : $child2});
+				Backbone.Courier.add(this.childView2);
+
+				this.parentView._getChildViewNamed = function(childViewName) {
+
+					if( childViewName === 'child1' ) {
+						return _this.childView;
+					}
+					else if( childViewName === 'child2' ) {
+						return _this.childView2;
+					}
+					else {
+						throw new Error('Unknown view name: ' + childViewName);
+					}
+				};
 
 			}
 		}
@@ -265,7 +1173,6 @@ $(document).ready(function() {
 
 		var _this = this;
 
-		var messageData = {firstName : 'Backbone', lastName : 'Courier'};
 		var messageData = {firstName : 'Backbone', lastName : 'Courier'};
 
 		this.parentView.passMessages = {
@@ -275,7 +1182,7 @@ $(document).ready(function() {
 		this.grandparentView.onMessages = {
 			"message1" : function(data,source) {
 				ok('Heard message');
-				equal(source, _this.parentView, 'Source of message (the parent) is correct');
+				equal(source, _this.childView, 'Source of message (the original child) is correct');
 				deepEqual(data, messageData, 'Message data is correct (same as original)');
 			}
 		};
@@ -297,7 +1204,7 @@ $(document).ready(function() {
 		this.grandparentView.onMessages = {
 			"message2" : function(data,source) {
 				ok('Heard message');
-				equal(source, _this.parentView, 'Source of message (the parent) is correct');
+				equal(source, _this.childView, 'Source of message (the original child) is correct');
 				deepEqual(data, originalMessageData, 'Message data is correct (same as original)');
 			},
 			"message1" : function() {
@@ -317,13 +1224,16 @@ $(document).ready(function() {
 		var originalMessageData = {firstName : 'Backbone', lastName : 'Courier'};
 
 		this.parentView.passMessages = {
-			"message1" : "message2"
+			"message1" : function(message) {
+				message.name = 'message2';
+				return message;
+			}
 		};
 
 		this.grandparentView.onMessages = {
 			"message2" : function(data,source) {
 				ok('Heard message');
-				equal(source, _this.parentView, 'Source of message (the parent) is correct');
+				equal(source, _this.childView, 'Source of message (the original child) is correct');
 				deepEqual(data, originalMessageData, 'Message data is correct (same as original)');
 			},
 			"message1" : function() {
@@ -335,6 +1245,1306 @@ $(document).ready(function() {
 
 	});
 
+	test('Pass message from child onto grandparent with transformed data using passMessages', 3, function () {
+
+		var _this = this;
+
+		this.parentView.passMessages = {
+			"sel*" : function(message) {
+				return {name : 'itemSelected', data : {item : message.data, list : 'parent'}};
+			}
+		};
+
+		this.grandparentView.onMessages = {
+			"itemSelected" : function(data,source,messageName) {
+				deepEqual(data, {item : 'item1', list : 'parent'}, 'Message data is transformed');
+				equal(source, _this.childView, 'Source of transformed message is the original child');
+				equal(messageName, 'itemSelected', 'Transformed message is renamed');
+			}
+		};
+
+		this.childView.spawn('selected', 'item1');
+
+	});
+
+	test('Message is not passed when passMessages hash has no entry for it or its transform returns nothing', 0, function () {
+
+		this.parentView.passMessages = {
+			"message1" : function() {
+				return null;
+			},
+			"message2 child2" : "message3"
+		};
+
+		this.grandparentView.onMessages = {
+			"*" : function(data,source,messageName) {
+				ok(false, 'Should not have heard ' + messageName);
+			}
+		};
+
+		this.childView.spawn('message1');
+		this.childView.spawn('message2');
+
+	});
+
+	test('Boolean values in passMessages hash pass messages unchanged or not at all', 2, function () {
+
+		this.parentView.passMessages = {
+			"selected" : true,
+			"changed" : false,
+			"*" : "."
+		};
+
+		var _this = this;
+		this.grandparentView.onMessages = {
+			"*" : function(data,source,messageName) {
+				equal(messageName, 'selected', 'Message passed with its name unchanged');
+				equal(source, _this.childView, 'Message source is unchanged');
+			}
+		};
+
+		this.childView.spawn('selected');
+		this.childView.spawn('changed');
+
+	});
+
+	test('Other values in passMessages hash throw', 1, function () {
+
+		this.parentView.passMessages = {
+			"selected" : 1
+		};
+
+		var _this = this;
+		throws(function() {
+			_this.childView.spawn('selected');
+		}, TypeError, 'Number value throws a TypeError');
+
+	});
+
+	module("Message envelopes",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="grandparent"></div>');
+				var $grandparent = $('#grandparent');
+				$grandparent.append('<div id="parent"></div>');
+				var $parent = $('#parent');
+				$parent.append('<div id="child"></div>');
+				var $child = $('#child');
+
+				this.grandparentView = new Backbone.View({el : $grandparent});
+				Backbone.Courier.add(this.grandparentView);
+				this.parentView = new Backbone.View({el : $parent});
+				Backbone.Courier.add(this.parentView);
+				this.childView = new Backbone.View({el : $child});
+				Backbone.Courier.add(this.childView);
+			}
+		}
+	);
+
+	test('Spawn returns the message envelope', 7, function() {
+
+		this.parentView.passMessages = true;
+		this.grandparentView.onMessages = {
+			"message1" : function() {}
+		};
+
+		var envelope = this.childView.spawn('message1', {value : 1});
+		var otherEnvelope = this.childView.spawn('message1');
+
+		equal(envelope.name, 'message1', 'Envelope has the message name');
+		deepEqual(envelope.data, {value : 1}, 'Envelope has the message data');
+		equal(envelope.source, this.childView, 'Envelope has the message source');
+		deepEqual(envelope.path, [this.childView, this.parentView, this.grandparentView], 'Envelope has the path of traversed views');
+		deepEqual(envelope.handledBy, [this.grandparentView], 'Envelope records which views handled it');
+		notEqual(envelope.id, otherEnvelope.id, 'Envelopes have unique ids');
+		ok(_.isNumber(envelope.timestamp), 'Envelope has a timestamp');
+
+	});
+
+	test('Envelope handlers receive the envelope', 4, function() {
+
+		var _this = this;
+		this.parentView.passMessages = true;
+		this.parentView.onMessages = {
+			"message1" : Backbone.Courier.envelope(function(message) {
+				equal(message.name, 'message1', 'Function handler received the envelope');
+				deepEqual(message.path, [_this.childView, _this.parentView], 'Path ends with the handling view');
+			})
+		};
+		this.grandparentView.onMessages = {
+			"message1" : Backbone.Courier.envelope('_onMessage1')
+		};
+		this.grandparentView._onMessage1 = function(message) {
+			equal(this, _this.grandparentView, 'Method handler called in the context of the view');
+			deepEqual(message.handledBy, [_this.parentView, _this.grandparentView], 'Envelope records previous handlers');
+		};
+
+		this.childView.spawn('message1');
+
+	});
+
+	test('Envelope stopPropagation and preventDefault', 4, function() {
+
+		this.parentView.passMessages = true;
+		this.parentView.onMessages = {
+			"beforeClose" : Backbone.Courier.envelope(function(message) {
+				message.stopPropagation();
+				message.preventDefault();
+			})
+		};
+		this.grandparentView.onMessages = {
+			"beforeClose" : function() {
+				ok(false, 'Propagation should have been stopped');
+			}
+		};
+
+		var envelope = this.childView.spawn('beforeClose');
+
+		ok(envelope.isPropagationStopped(), 'Envelope reports propagation stopped');
+		ok(envelope.isDefaultPrevented(), 'Envelope reports default prevented');
+		deepEqual(envelope.path, [this.childView, this.parentView], 'Message did not travel past the view that stopped it');
+		ok(! this.childView.spawn('close').isDefaultPrevented(), 'Default is not prevented for other messages');
+
+	});
+
+	test('Callbacks control propagation by returning STOP or CONTINUE', 4, function() {
+
+		var heardByGrandparent = [];
+		this.parentView.passMessages = false;
+		this.parentView.onMessages = {
+			"*" : function(data) {
+				return data.pass ? Backbone.Courier.CONTINUE : undefined;
+			}
+		};
+		this.grandparentView.onMessages = {
+			"*" : function(data, source, messageName) {
+				heardByGrandparent.push(messageName);
+			}
+		};
+
+		this.childView.spawn('selected', {pass : true});
+		this.childView.spawn('deselected', {pass : false});
+		deepEqual(heardByGrandparent, ['selected'], 'CONTINUE passed the message although passMessages is false');
+
+		this.parentView.passMessages = true;
+		this.parentView.onMessages = {
+			"*" : function(data) {
+				if(data.stop) return Backbone.Courier.STOP;
+			}
+		};
+		heardByGrandparent = [];
+
+		var envelope = this.childView.spawn('selected', {stop : true});
+		this.childView.spawn('deselected', {stop : false});
+		deepEqual(heardByGrandparent, ['deselected'], 'STOP ended propagation although passMessages is true');
+		ok(envelope.isPropagationStopped(), 'Envelope reports propagation stopped');
+		ok(! envelope.isPropagationContinued(), 'Envelope does not report propagation continued');
+
+	});
+
+	test('Envelope continuePropagation applies only to the view that calls it', 3, function() {
+
+		var greatGrandparentView = new Backbone.View({el : $('<div></div>').appendTo('#qunit-fixture')});
+		greatGrandparentView.$el.append(this.grandparentView.$el);
+		Backbone.Courier.add(greatGrandparentView);
+
+		this.parentView.passMessages = false;
+		this.parentView.onMessages = {
+			"selected" : Backbone.Courier.envelope(function(message) {
+				message.continuePropagation();
+				ok(message.isPropagationContinued(), 'Envelope reports propagation continued');
+			})
+		};
+		this.grandparentView.onMessages = {
+			"selected" : function() {
+				ok(true, 'Grandparent heard the continued message');
+			}
+		};
+		greatGrandparentView.onMessages = {
+			"selected" : function() {
+				ok(false, 'Grandparent inherits the decision of parent, which was not to pass the message');
+			}
+		};
+
+		var envelope = this.childView.spawn('selected');
+		deepEqual(envelope.path, [this.childView, this.parentView, this.grandparentView], 'Message stopped at the grandparent');
+
+	});
+
+	test('Envelope survives passMessages transforms', 2, function() {
+
+		var _this = this;
+		this.parentView.passMessages = {
+			"selected" : function(message) {
+				return {name : 'itemSelected', data : message.data};
+			}
+		};
+		var originalId;
+		this.parentView.onMessages = {
+			"selected" : Backbone.Courier.envelope(function(message) {
+				originalId = message.id;
+			})
+		};
+		this.grandparentView.onMessages = {
+			"itemSelected" : function() {}
+		};
+
+		var envelope = this.childView.spawn('selected');
+
+		equal(envelope.id, originalId, 'Transformed message keeps the envelope id');
+		deepEqual(envelope.path, [_this.childView, _this.parentView, _this.grandparentView], 'Transformed message keeps the path');
+
+	});
+
+	module("Backbone.Courier.use",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="grandparent"></div>');
+				var $grandparent = $('#grandparent');
+				$grandparent.append('<div id="parent"></div>');
+				var $parent = $('#parent');
+				$parent.append('<div id="child"></div>');
+				var $child = $('#child');
+
+				this.grandparentView = new Backbone.View({el : $grandparent});
+				Backbone.Courier.add(this.grandparentView);
+				this.parentView = new Backbone.View({el : $parent});
+				Backbone.Courier.add(this.parentView);
+				this.childView = new Backbone.View({el : $child});
+				Backbone.Courier.add(this.childView);
+			},
+
+			teardown: function() {
+				Backbone.Courier.unuse();
+			}
+		}
+	);
+
+	test('Middleware runs around each hop and observes return values', 4, function() {
+
+		var _this = this;
+		var hops = [];
+		Backbone.Courier.use(function(message, view, next) {
+			hops.push(view);
+			var returnValue = next();
+			if(view === _this.parentView && message.name === 'message1') equal(returnValue, 'handled', 'Middleware observed the return value');
+			return returnValue;
+		});
+
+		this.parentView.passMessages = true;
+		this.parentView.onMessages = {
+			"message1" : function() {
+				return 'handled';
+			}
+		};
+		this.grandparentView.onMessages = {
+			"giveMeInfo!" : function() {
+				return 'info';
+			}
+		};
+
+		this.childView.spawn('message1');
+		deepEqual(hops, [this.parentView, this.grandparentView], 'Middleware ran for every ancestor');
+
+		hops = [];
+		equal(this.childView.spawn('giveMeInfo!'), 'info', 'Round trip answer is returned through middleware');
+		deepEqual(hops, [this.parentView, this.grandparentView], 'Middleware ran for round trip messages');
+
+	});
+
+	test('Middleware can rewrite and drop messages', 3, function() {
+
+		var _this = this;
+		Backbone.Courier.use(function(message, view, next) {
+			if(message.name === 'secret') return;
+			if(message.name === 'old') return next({name : 'new', data : message.data});
+			return next();
+		});
+
+		this.parentView.onMessages = {
+			"new" : function(data, source) {
+				equal(data, 'payload', 'Rewritten message has its data');
+				equal(source, _this.childView, 'Rewritten message keeps its source');
+			},
+			"secret" : function() {
+				ok(false, 'Dropped message should not have been handled');
+			}
+		};
+
+		this.childView.spawn('old', 'payload');
+		deepEqual(this.childView.spawn('secret').handledBy, [], 'Dropped message was not handled');
+
+	});
+
+	asyncTest('Middleware can delay messages', 4, function() {
+
+		var delayed = false;
+		Backbone.Courier.use(function(message, view, next) {
+			return new Promise(function(resolve) {
+				setTimeout(resolve, 0);
+			}).then(function() {
+				delayed = true;
+				return next();
+			});
+		});
+
+		this.grandparentView.onMessages = {
+			"giveMeInfo!" : function() {
+				ok(delayed, 'Handler ran after the delay');
+				return 'info';
+			}
+		};
+
+		equal(this.childView.spawn('giveMeInfo!'), undefined, 'Delayed synchronous round trip has no answer yet');
+		this.childView.spawn({name : 'giveMeInfo!', async : true}).then(function(answer) {
+			equal(answer, 'info', 'Delayed asynchronous round trip resolves to the answer');
+			start();
+		});
+
+	});
+
+	asyncTest('Outcome of delayed synchronous spawns is available through the envelope', 4, function() {
+
+		Backbone.Courier.use(function(message, view, next) {
+			return new Promise(function(resolve) {
+				setTimeout(resolve, 0);
+			}).then(function() {
+				return next();
+			});
+		});
+
+		this.parentView.passMessages = true;
+		this.grandparentView.onMessages = {
+			"broken" : function() {
+				throw new Error('handler failed');
+			},
+			"working" : function() {}
+		};
+
+		var envelope = this.childView.spawn('working');
+		ok(envelope.delivered && _.isFunction(envelope.delivered.then), 'Envelope of a delayed message has a delivered promise');
+
+		var _this = this;
+		envelope.delivered.then(function(finalMessage) {
+			deepEqual(finalMessage.handledBy, [_this.grandparentView], 'Promise resolved with the message once delivered');
+
+			return _this.childView.spawn('broken').delivered.then(null, function(err) {
+				equal(err.message, 'handler failed', 'Exception thrown by a delayed handler rejects the promise');
+			});
+		}).then(function() {
+			Backbone.Courier.strict = true;
+			return _this.childView.spawn('typo').delivered.then(null, function(err) {
+				ok(/"typo"/.test(err.message), 'Strict mode rejects the promise for a delayed unhandled message');
+			});
+		}).then(function() {
+			Backbone.Courier.strict = false;
+			start();
+		});
+
+	});
+
+	asyncTest('A message object spawned twice gets a promise for each delivery', 3, function() {
+
+		Backbone.Courier.use(function(message, view, next) {
+			return new Promise(function(resolve) {
+				setTimeout(resolve, 0);
+			}).then(function() {
+				return next();
+			});
+		});
+
+		this.parentView.passMessages = true;
+		this.grandparentView.onMessages = {
+			"broken" : function() {
+				throw new Error('handler failed');
+			}
+		};
+
+		var _this = this;
+		var message = {name : 'broken'};
+		var firstDelivered = this.childView.spawn(message).delivered;
+
+		firstDelivered.then(null, function(err) {
+			equal(err.message, 'handler failed', 'First delivery rejects its promise');
+
+			var secondDelivered = _this.childView.spawn(message).delivered;
+			notStrictEqual(secondDelivered, firstDelivered, 'Second delivery has a promise of its own');
+
+			return secondDelivered.then(null, function(err) {
+				equal(err.message, 'handler failed', 'Second delivery rejects its promise');
+			});
+		}).then(function() {
+			start();
+		});
+
+	});
+
+	module("Backbone.Courier.debug",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="grandparent"></div>');
+				var $grandparent = $('#grandparent');
+				$grandparent.append('<div id="parent"></div>');
+				var $parent = $('#parent');
+				$parent.append('<div id="child"></div>');
+				var $child = $('#child');
+
+				this.grandparentView = new Backbone.View({el : $grandparent});
+				Backbone.Courier.add(this.grandparentView);
+				this.parentView = new Backbone.View({el : $parent});
+				this.parentView.subviews = {};
+				Backbone.Courier.add(this.parentView);
+				this.childView = new Backbone.View({el : $child});
+				Backbone.Courier.add(this.childView);
+
+				Backbone.Courier.debug = true;
+			},
+
+			teardown: function() {
+				Backbone.Courier.debug = false;
+				Backbone.Courier.trace = [];
+			}
+		}
+	);
+
+	test('Trace records each parent visited and where the message stopped', 10, function() {
+
+		this.parentView.onMessages = {
+			"message1 child1" : function() {}
+		};
+		this.parentView.passMessages = { "message1" : "message2" };
+		this.grandparentView.onMessages = {
+			"message2" : function() {}
+		};
+		this.grandparentView.passMessages = false;
+
+		var envelope = this.childView.spawn('message1');
+		var trace = _.last(Backbone.Courier.trace);
+
+		equal(trace.id, envelope.id, 'Trace has the id of the message');
+		equal(trace.name, 'message1', 'Trace has the name the message was spawned with');
+		equal(trace.hops.length, 2, 'Trace has a hop for each parent visited');
+		equal(trace.hops[0].view, this.parentView, 'First hop is the parent');
+		equal(trace.hops[0].matchedKey, null, 'Parent did not handle the message');
+		equal(trace.hops[0].reason, 'keys that match the name have a different source: "message1 child1"', 'Reason why no key matched');
+		equal(trace.hops[0].passReason, 'passMessages passes it as "message2"', 'passMessages decision is recorded');
+		equal(trace.hops[1].matchedKey, 'message2', 'Matching key is recorded');
+		equal(trace.stoppedAt, this.grandparentView, 'Trace records where the message stopped');
+		equal(trace.reason, 'not passed', 'Trace records why the message stopped');
+
+	});
+
+	test('Trace records round trip answers', 3, function() {
+
+		this.grandparentView.onMessages = {
+			"giveMeInfo!" : function() {
+				return 'info';
+			}
+		};
+
+		this.childView.spawn('giveMeInfo!');
+		var trace = _.last(Backbone.Courier.trace);
+
+		equal(trace.hops[0].reason, 'no onMessages hash', 'Reason why the parent did not handle the message');
+		equal(trace.reason, 'answered', 'Trace records that the message was answered');
+		equal(trace.answer, 'info', 'Trace records the answer');
+
+	});
+
+	test('Nothing is traced when debug is off', 1, function() {
+
+		Backbone.Courier.debug = false;
+		this.childView.spawn('message1');
+
+		equal(Backbone.Courier.trace.length, 0, 'No trace was recorded');
+
+	});
+
+	module("Backbone.Courier.onUnhandled",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="grandparent"></div>');
+				var $grandparent = $('#grandparent');
+				$grandparent.append('<div id="parent"></div>');
+				var $parent = $('#parent');
+				$parent.append('<div id="child"></div>');
+				var $child = $('#child');
+
+				this.grandparentView = new Backbone.View({el : $grandparent});
+				Backbone.Courier.add(this.grandparentView);
+				this.parentView = new Backbone.View({el : $parent});
+				Backbone.Courier.add(this.parentView);
+				this.childView = new Backbone.View({el : $child});
+				Backbone.Courier.add(this.childView);
+
+				var unhandled = this.unhandled = [];
+				Backbone.Courier.onUnhandled = function(message, path) {
+					unhandled.push(message.name);
+					unhandled.path = path;
+				};
+			},
+
+			teardown: function() {
+				Backbone.Courier.onUnhandled = null;
+				Backbone.Courier.strict = false;
+			}
+		}
+	);
+
+	test('Unhandled messages are reported', 3, function() {
+
+		this.parentView.passMessages = ['passed'];
+		this.parentView.onMessages = {
+			"handled" : function() {}
+		};
+		this.grandparentView.onMessages = {
+			"passedAndHandled" : function() {}
+		};
+
+		this.childView.spawn('handled');
+		this.childView.spawn('passed');
+		this.childView.spawn('notPassed');
+		this.parentView.passMessages = true;
+		this.childView.spawn('passedAndHandled');
+		this.childView.spawn('reachedTop');
+
+		deepEqual(this.unhandled, ['passed', 'notPassed', 'reachedTop'], 'Messages that were not handled by any view were reported');
+		deepEqual(this.unhandled.path, [this.childView, this.parentView, this.grandparentView], 'Path of the message was reported');
+
+		this.unhandled.length = 0;
+		this.parentView.onMessages = {
+			"*" : function() {
+				return Backbone.Courier.STOP;
+			}
+		};
+		this.childView.spawn('stopped');
+		deepEqual(this.unhandled, [], 'Message stopped by a callback is not reported');
+
+	});
+
+	test('Unanswered round trip messages are reported', 1, function() {
+
+		this.parentView.onMessages = {
+			"giveMeInfo!" : function() {
+				return Backbone.Courier.CONTINUE;
+			},
+			"giveMeLocale!" : function() {
+				return 'en';
+			},
+			"giveMeNothing!" : function() {
+				return Backbone.Courier.STOP;
+			}
+		};
+
+		this.childView.spawn('giveMeInfo!');
+		this.childView.spawn('giveMeLocale!');
+		this.childView.spawn('giveMeNothing!');
+		this.childView.spawn('giveMeUser!');
+
+		deepEqual(this.unhandled, ['giveMeInfo!', 'giveMeUser!'], 'Declined and unhandled round trip messages were reported');
+
+	});
+
+	test('Strict mode throws for unhandled messages', 3, function() {
+
+		var _this = this;
+		Backbone.Courier.strict = true;
+		this.parentView.onMessages = {
+			"handled" : function() {}
+		};
+
+		this.childView.spawn('handled');
+		throws(function() {
+			_this.childView.spawn('typo');
+		}, /"typo"/, 'Unhandled message throws');
+		throws(function() {
+			_this.childView.spawn('giveMeInfo!');
+		}, /"giveMeInfo!"/, 'Unanswered round trip message throws');
+
+		deepEqual(this.unhandled, ['typo', 'giveMeInfo!'], 'onUnhandled is called before throwing');
+
+	});
+
+	asyncTest('Strict mode rejects unanswered asynchronous round trip messages', 1, function() {
+
+		Backbone.Courier.strict = true;
+
+		this.childView.spawn({name : 'giveMeInfo!', async : true}).then(null, function(err) {
+			ok(/giveMeInfo!/.test(err.message), 'Promise rejected');
+			Backbone.Courier.strict = false;
+			start();
+		});
+
+	});
+
+	module("View.broadcast",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="grandparent"></div>');
+				var $grandparent = $('#grandparent');
+				$grandparent.append('<div id="parent"></div>');
+				var $parent = $('#parent');
+				$parent.append('<div class="wrapper"><div id="child"></div></div>');
+				var $child = $('#child');
+				$parent.append('<div id="child2"></div>');
+				var $child2 = $('#child2');
+
+				this.grandparentView = new Backbone.View({el : $grandparent});
+				Backbone.Courier.add(this.grandparentView);
+				this.parentView = new Backbone.View({el : $parent});
+				Backbone.Courier.add(this.parentView);
+				this.childView = new Backbone.View({el : $child});
+				Backbone.Courier.add(this.childView);
+				this.childView2 = new Backbone.View({el : $child2});
+				Backbone.Courier.add(this.childView2);
+			}
+		}
+	);
+
+	test('Find child views through the DOM', 2, function() {
+
+		deepEqual(Backbone.Courier.findChildViews(this.grandparentView), [this.parentView], 'Only the closest descendant views are children');
+		deepEqual(Backbone.Courier.findChildViews(this.parentView), [this.childView, this.childView2], 'Child views are found below non-view elements, in document order');
+
+	});
+
+	test('Broadcast message from parent to children', 4, function() {
+
+		var _this = this;
+		var messageData = {firstName : 'Backbone', lastName : 'Courier'};
+
+		this.childView.onParentMessages = {
+			"refresh" : function (data, source, messageName) {
+				deepEqual(data, messageData, 'First child heard message with correct payload');
+				equal(source, _this.parentView, 'Source of message is the broadcasting view');
+				equal(messageName, 'refresh', 'Name of message is correct');
+			}
+		};
+
+		this.childView2.onParentMessages = {
+			"refr*" : "_onRefresh"
+		};
+		this.childView2._onRefresh = function() {
+			ok(true, 'Second child heard message through method name and wildcard');
+		};
+
+		this.parentView.broadcast('refresh', messageData);
+
+	});
+
+	test('Broadcast message is only passed down by passParentMessages', 3, function() {
+
+		var _this = this;
+
+		this.childView.onParentMessages = {
+			"refresh" : function () {
+				ok(true, 'Grandchild heard message passed by its parent');
+			},
+			"resize" : function () {
+				ok(false, 'Grandchild should not have heard message not passed by its parent');
+			}
+		};
+
+		this.grandparentView.broadcast('refresh');
+
+		this.parentView.passParentMessages = ['refresh'];
+		this.grandparentView.broadcast('refresh');
+		this.grandparentView.broadcast('resize');
+
+		this.parentView.passParentMessages = true;
+		this.grandparentView.broadcast('refresh');
+
+		this.parentView.passParentMessages = function() { return false; };
+		this.grandparentView.broadcast('refresh');
+
+		this.parentView.passParentMessages = 'refresh';
+		throws(function() {
+			_this.grandparentView.broadcast('refresh');
+		}, TypeError, 'Invalid passParentMessages throws');
+
+	});
+
+	test('Broadcast callbacks control propagation by returning STOP or CONTINUE', 2, function() {
+
+		var $grandchild = $('<div></div>').appendTo(this.childView.$el);
+		var grandchildView = new Backbone.View({el : $grandchild});
+		Backbone.Courier.add(grandchildView);
+
+		this.childView.onParentMessages = {
+			"refresh" : function() {
+				return Backbone.Courier.CONTINUE;
+			}
+		};
+		grandchildView.onParentMessages = {
+			"refresh" : function() {
+				ok(true, 'Grandchild heard the message continued by its parent');
+			}
+		};
+
+		this.parentView.broadcast('refresh');
+
+		this.childView.onParentMessages = {
+			"refresh" : function() {
+				return Backbone.Courier.STOP;
+			}
+		};
+		grandchildView.onParentMessages = {};
+		this.childView2.onParentMessages = {
+			"refresh" : function() {
+				ok(false, 'Second child should not hear the message after the first one stopped it');
+			}
+		};
+
+		ok(this.parentView.broadcast('refresh').isPropagationStopped(), 'STOP stopped the broadcast');
+
+	});
+
+	module("View.collect",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="grandparent"></div>');
+				var $grandparent = $('#grandparent');
+				$grandparent.append('<div id="parent"></div>');
+				var $parent = $('#parent');
+				$parent.append('<div id="child"></div>');
+				var $child = $('#child');
+
+				this.grandparentView = new Backbone.View({el : $grandparent});
+				Backbone.Courier.add(this.grandparentView);
+				this.parentView = new Backbone.View({el : $parent});
+				Backbone.Courier.add(this.parentView);
+				this.childView = new Backbone.View({el : $child});
+				Backbone.Courier.add(this.childView);
+			},
+
+			teardown: function() {
+				Backbone.Courier.unuse();
+				Backbone.Courier.debug = false;
+				Backbone.Courier.trace = [];
+				Backbone.Courier.onUnhandled = null;
+				Backbone.Courier.strict = false;
+			}
+		}
+	);
+
+	test('Collect answers from every ancestor', 3, function() {
+
+		this.parentView.passMessages = false;
+		this.parentView.onMessages = {
+			"giveMePermissions!" : function(data) {
+				return ['edit'];
+			}
+		};
+		this.grandparentView.onMessages = {
+			"giveMe*! parent" : function(data, source) {
+				return ['view', data.extra];
+			}
+		};
+		this.grandparentView.subviews = {parent : this.parentView};
+
+		deepEqual(this.childView.collect('giveMePermissions!', {extra : 'share'}), [['edit'], ['view', 'share']], 'Answers from all ancestors, nearest first, regardless of passMessages');
+
+		var permissions = this.childView.collect('giveMePermissions!', {extra : 'share'}, function(memo, answer) {
+			return memo.concat(answer);
+		}, []);
+		deepEqual(permissions, ['edit', 'view', 'share'], 'Answers reduced with memo');
+
+		var breadcrumbs = this.childView.collect('giveMePermissions!', {}, function(memo, answer) {
+			return memo + ' > ' + answer[0];
+		});
+		equal(breadcrumbs, 'edit > view', 'Answers reduced without memo start with the first answer');
+
+	});
+
+	test('Collected messages go through middleware', 3, function() {
+
+		var _this = this;
+		this.parentView.onMessages = {
+			"secret!" : function() {
+				return 'leaked';
+			}
+		};
+		this.grandparentView.onMessages = {
+			"secret!" : function() {
+				return 'leaked too';
+			}
+		};
+
+		var visited = [];
+		Backbone.Courier.use(function(message, view, next) {
+			visited.push(view);
+			if(message.name !== 'secret!') return next();
+		});
+
+		deepEqual(this.childView.collect('secret!'), [], 'Message vetoed by a middleware collects no answers');
+		deepEqual(visited, [this.parentView], 'Middleware ran at the first ancestor');
+
+		Backbone.Courier.unuse();
+		Backbone.Courier.use(function(message, view, next) {
+			if(view !== _this.grandparentView) return next();
+		});
+
+		deepEqual(this.childView.collect('secret!'), ['leaked'], 'Message dropped at the grandparent keeps the answers collected before');
+
+	});
+
+	test('Collected messages are traced and reported when unanswered', 4, function() {
+
+		this.grandparentView.onMessages = {
+			"giveMeLabels!" : function() {
+				return 'grandparent';
+			}
+		};
+
+		Backbone.Courier.debug = true;
+		this.childView.collect('giveMeLabels!');
+		var trace = _.last(Backbone.Courier.trace);
+		equal(trace.hops.length, 2, 'Each ancestor is recorded in the trace');
+		deepEqual(trace.answer, ['grandparent'], 'Trace records the answers');
+		Backbone.Courier.debug = false;
+
+		var unhandled = [];
+		Backbone.Courier.onUnhandled = function(message) {
+			unhandled.push(message.name);
+		};
+		this.childView.collect('giveMeLabels!');
+		this.childView.collect('giveMeNothing!');
+		deepEqual(unhandled, ['giveMeNothing!'], 'Message without answers was reported');
+
+		var _this = this;
+		Backbone.Courier.strict = true;
+		throws(function() {
+			_this.childView.collect('giveMeNothing!');
+		}, /"giveMeNothing!"/, 'Strict mode throws for a message without answers');
+
+	});
+
+	test('Collect skips undefined answers and honors STOP', 2, function() {
+
+		this.parentView.onMessages = {
+			"giveMeLabels!" : function() {
+				return Backbone.Courier.CONTINUE;
+			}
+		};
+		this.grandparentView.onMessages = {
+			"giveMeLabels!" : function() {
+				return 'grandparent';
+			}
+		};
+
+		deepEqual(this.childView.collect('giveMeLabels!'), ['grandparent'], 'Declined and unhandled ancestors contribute nothing');
+
+		this.parentView.onMessages = {
+			"giveMeLabels!" : function() {
+				return Backbone.Courier.STOP;
+			}
+		};
+
+		deepEqual(this.childView.collect('giveMeLabels!'), [], 'STOP ends the collection');
+
+	});
+
+	module("View.inject",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="grandparent"></div>');
+				var $grandparent = $('#grandparent');
+				$grandparent.append('<div id="parent"></div>');
+				var $parent = $('#parent');
+				$parent.append('<div id="child"></div>');
+				var $child = $('#child');
+
+				this.grandparentView = new Backbone.View({el : $grandparent});
+				Backbone.Courier.add(this.grandparentView);
+				this.parentView = new Backbone.View({el : $parent});
+				Backbone.Courier.add(this.parentView);
+				this.childView = new Backbone.View({el : $child});
+				Backbone.Courier.add(this.childView);
+			}
+		}
+	);
+
+	test('Inject values from the nearest provider', 5, function() {
+
+		var context;
+		var format = function(date) {
+			return 'F:' + date;
+		};
+		this.grandparentView.currentUser = 'grandparent user';
+		this.grandparentView.provides = function() {
+			context = this;
+			return {
+				"locale" : 'en',
+				"currentUser" : this.currentUser
+			};
+		};
+		this.parentView.provides = {
+			"locale" : 'fr',
+			"format" : format
+		};
+
+		equal(this.childView.inject('locale'), 'fr', 'Nearest provider wins');
+		equal(this.childView.inject('currentUser'), 'grandparent user', 'Value is provided by a more distant ancestor');
+		equal(context, this.grandparentView, 'Provides function is invoked in the context of the provider');
+		equal(this.childView.inject('format')('today'), 'F:today', 'Function values are provided as they are');
+		equal(this.childView.inject('theme'), undefined, 'Value without a provider is undefined');
+
+	});
+
+	test('Injected values are updated when the provider notifies', 4, function() {
+
+		var locale = 'en';
+		this.grandparentView.provides = function() {
+			return { "locale" : locale };
+		};
+
+		var locales = [];
+		this.childView._onLocaleChanged = function(newLocale) {
+			locales.push(newLocale);
+		};
+
+		equal(this.childView.inject('locale', '_onLocaleChanged'), 'en', 'Initial value is returned');
+
+		locale = 'fr';
+		this.grandparentView.notifyInjected('locale');
+		deepEqual(locales, ['fr'], 'Change handler received the new value');
+
+		this.childView.inject('locale', '_onLocaleChanged');
+		this.childView.inject('locale', '_onLocaleChanged');
+		locale = 'de';
+		this.grandparentView.notifyInjected('locale');
+		deepEqual(locales, ['fr', 'de'], 'Injecting again does not add another change handler');
+
+		this.childView.remove();
+		this.grandparentView.notifyInjected('locale');
+		deepEqual(locales, ['fr', 'de'], 'Removed views stop listening');
+
+	});
+
+	module("View.setCourierParent",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="page"><div id="toolbar"></div></div><div id="portal"></div>');
+
+				this.pageView = new Backbone.CourierView({el : $('#page')});
+				this.toolbarView = new Backbone.CourierView({el : $('#toolbar')});
+				this.modalView = new Backbone.CourierView({el : $('<div></div>').appendTo('#portal')});
+			}
+		}
+	);
+
+	test('Messages from a view with an assigned parent bubble to that parent', 3, function() {
+
+		var _this = this;
+		this.toolbarView.onMessages = {
+			"confirmed" : function(data, source) {
+				equal(source, _this.modalView, 'Assigned parent heard the message');
+			}
+		};
+		this.toolbarView.passMessages = false;
+
+		equal(this.modalView._getParentView(), null, 'View outside of the hierarchy has no parent');
+
+		equal(this.modalView.setCourierParent(this.toolbarView), this.modalView, 'setCourierParent returns the view');
+		this.modalView.spawn('confirmed');
+
+		this.modalView.setCourierParent(null);
+		this.modalView.spawn('confirmed');
+
+	});
+
+	test('Broadcast messages reach views with an assigned parent', 3, function() {
+
+		this.modalView.onParentMessages = {
+			"refresh" : function() {
+				ok(true, 'View with an assigned parent heard the broadcast');
+			}
+		};
+
+		this.modalView.setCourierParent(this.toolbarView);
+		this.toolbarView.broadcast('refresh');
+		deepEqual(this.pageView._getChildViews(), [this.toolbarView], 'Assigned children of other views are not children through the DOM');
+
+		// move the modal into the page, while it keeps its assigned parent
+		this.pageView.$el.append(this.modalView.el);
+		deepEqual(this.pageView._getChildViews(), [this.toolbarView], 'View with an assigned parent is not a child of the view its element is in');
+
+		this.modalView.remove();
+		this.toolbarView.broadcast('refresh');
+
+	});
+
+	test('Backbone.Courier.remove clears the assigned parent', 1, function() {
+
+		var modalView = new Backbone.View({el : $('<div></div>').appendTo('#portal')});
+		Backbone.Courier.add(modalView);
+		modalView.setCourierParent(this.toolbarView);
+
+		modalView.onParentMessages = {
+			"refresh" : function() {
+				ok(false, 'Detached view should not hear broadcast messages');
+			}
+		};
+
+		Backbone.Courier.remove(modalView);
+		this.toolbarView.broadcast('refresh');
+
+		equal(modalView.courierParent, null, 'Assigned parent was cleared');
+
+	});
+
+	test('Removing a view releases the views assigned to it', 3, function() {
+
+		this.toolbarView.onMessages = {
+			"confirmed" : function() {
+				ok(false, 'Removed view should not hear messages');
+			}
+		};
+		this.modalView.setCourierParent(this.toolbarView);
+
+		this.toolbarView.remove();
+		this.modalView.spawn('confirmed');
+
+		equal(this.modalView.courierParent, null, 'Assigned parent was cleared');
+		equal(this.modalView._getParentView(), null, 'Parent is found through the DOM again');
+		deepEqual(this.toolbarView._courierLogicalChildren, [], 'Removed view has no assigned children');
+
+	});
+
+	test('courierParent constructor option', 2, function() {
+
+		var _this = this;
+		this.pageView.provides = {
+			"locale" : 'en'
+		};
+
+		var ModalView = Backbone.CourierView.extend({
+			initialize : function() {
+				this.locale = this.inject('locale');
+			}
+		});
+
+		var modalView = new ModalView({courierParent : this.toolbarView});
+
+		equal(modalView._getParentView(), this.toolbarView, 'Parent assigned through the constructor');
+		equal(modalView.locale, 'en', 'Value injected in initialize through the assigned parent');
+
+	});
+
+	module("Backbone.Courier.cacheParents",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="first"><div id="child"></div></div><div id="second"></div>');
+
+				this.firstView = new Backbone.CourierView({el : $('#first')});
+				this.secondView = new Backbone.CourierView({el : $('#second')});
+				this.childView = new Backbone.CourierView({el : $('#child')});
+
+				Backbone.Courier.cacheParents = true;
+				this.findClosestParentView = Backbone.Courier.findClosestParentView;
+			},
+
+			teardown: function() {
+				Backbone.Courier.cacheParents = false;
+				Backbone.Courier.findClosestParentView = this.findClosestParentView;
+			}
+		}
+	);
+
+	test('Parents are cached until they are invalidated', 8, function() {
+
+		var findClosestParentView = this.findClosestParentView;
+		var lookups = 0;
+		Backbone.Courier.findClosestParentView = function(view) {
+			lookups++;
+			return findClosestParentView(view);
+		};
+
+		equal(this.childView._getParentView(), this.firstView, 'Parent resolved through the DOM');
+		this.childView._getParentView();
+		equal(lookups, 1, 'Parent resolved only once');
+
+		var nestedView = new Backbone.View({el : $('<div></div>').appendTo(this.secondView.el)});
+		Backbone.Courier.add(nestedView);
+
+		this.secondView.$el.append(this.childView.el);
+		equal(this.childView._getParentView(), this.secondView, 'Parent resolved again after the element is moved to another parent');
+
+		nestedView.$el.append(this.childView.el);
+		equal(this.childView._getParentView(), nestedView, 'Parent resolved again after the element is moved within its parent');
+
+		var $wrapper = $('<div></div>').appendTo(this.firstView.el).append(this.childView.el);
+		equal(this.childView._getParentView(), this.firstView, 'Parent resolved again after the element is wrapped');
+
+		$wrapper.appendTo(nestedView.el);
+		equal(this.childView._getParentView(), this.firstView, 'Cached parent is used after an ancestor of the element is moved');
+
+		Backbone.Courier.invalidateParents(this.childView);
+		equal(this.childView._getParentView(), nestedView, 'Parent resolved again after the view is invalidated');
+
+		$wrapper.appendTo(this.firstView.el);
+		Backbone.Courier.invalidateParents();
+		equal(this.childView._getParentView(), this.firstView, 'Parent resolved again after all views are invalidated');
+
+	});
+
+	test('Registering views on elements invalidates cached parents', 2, function() {
+
+		equal(this.childView._getParentView(), this.firstView, 'Parent resolved through the DOM');
+
+		this.childView.$el.wrap('<div id="wrapper"></div>');
+		var wrapperView = new Backbone.CourierView({el : $('#wrapper')});
+		equal(this.childView._getParentView(), wrapperView, 'New view between the view and its parent becomes the parent');
+
+	});
+
+	test('setElement invalidates cached parents', 1, function() {
+
+		this.childView._getParentView();
+		this.childView.setElement($('<div></div>').appendTo(this.secondView.el));
+
+		equal(this.childView._getParentView(), this.secondView, 'Parent resolved again for the new element');
+
+	});
+
+	test('Observed DOM changes invalidate cached parents', 2, function() {
+
+		Backbone.Courier.cacheParents = 'observe';
+
+		equal(this.childView._getParentView(), this.firstView, 'Parent resolved through the DOM');
+
+		this.secondView.$el.append(this.childView.el);
+		equal(this.childView._getParentView(), this.secondView, 'Parent resolved again right after the element is moved');
+
+	});
+
+	module("Backbone.Courier.nativeDom",
+		{
+			setup: function() {
+				Backbone.Courier.nativeDom = true;
+
+				var grandparent = document.createElement('div');
+				var parent = document.createElement('div');
+				var wrapper = document.createElement('div');
+				var child = document.createElement('div');
+				grandparent.appendChild(parent);
+				parent.appendChild(wrapper);
+				wrapper.appendChild(child);
+				document.getElementById('qunit-fixture').appendChild(grandparent);
+
+				this.grandparentView = new Backbone.CourierView({el : grandparent});
+				this.parentView = new Backbone.CourierView({el : parent});
+				this.childView = new Backbone.CourierView({el : child});
+			},
+
+			teardown: function() {
+				Backbone.Courier.nativeDom = false;
+			}
+		}
+	);
+
+	test('Views are registered without jQuery data', 1, function() {
+
+		equal($(this.childView.el).data('view'), undefined, 'View is not stored in jQuery data');
+
+	});
+
+	test('Parent and child views are found by walking the DOM', 3, function() {
+
+		equal(this.childView._getParentView(), this.parentView, 'Parent view found through a non-view element');
+		equal(this.grandparentView._getParentView(), null, 'Top level view has no parent');
+		deepEqual(this.parentView._getChildViews(), [this.childView], 'Child view found through a non-view element');
+
+	});
+
+	test('Messages are spawned and broadcast in native DOM mode', 2, function() {
+
+		this.grandparentView.onMessages = {
+			"giveMeInfo!" : function() {
+				return 'info';
+			}
+		};
+		this.childView.onParentMessages = {
+			"refresh" : function() {
+				ok(true, 'Child heard broadcast message');
+			}
+		};
+
+		equal(this.childView.spawn('giveMeInfo!'), 'info', 'Round trip message handled by grandparent');
+		this.parentView.broadcast('refresh');
+
+	});
+
+	test('Selector source qualifiers are matched in native DOM mode', 1, function() {
+
+		var childView = this.childView;
+		childView.el.className = 'selectable';
+		this.parentView.onMessages = {
+			"selected .selectable" : function(data, source) {
+				equal(source, childView, 'Heard the message from the child whose element matches');
+			}
+		};
+
+		this.childView.spawn('selected');
+
+	});
+
+	module("Shadow DOM",
+		{
+			setup: function() {
+				var $fixture = $('#qunit-fixture');
+				$fixture.append('<div id="page"><div id="host"><div id="slotted"></div></div></div>');
+
+				var host = document.getElementById('host');
+				var shadowRoot = host.attachShadow({mode : 'open'});
+				shadowRoot.innerHTML = '<div class="panel"><div class="inner"></div><slot></slot></div>';
+
+				this.pageView = new Backbone.CourierView({el : $('#page')});
+				this.panelView = new Backbone.CourierView({el : shadowRoot.querySelector('.panel')});
+				this.innerView = new Backbone.CourierView({el : shadowRoot.querySelector('.inner')});
+				this.slottedView = new Backbone.CourierView({el : $('#slotted')});
+			}
+		}
+	);
+
+	test('Parent traversal crosses shadow boundaries and follows slots', 3, function() {
+
+		equal(this.innerView._getParentView(), this.panelView, 'Parent found inside the shadow tree');
+		equal(this.panelView._getParentView(), this.pageView, 'Parent of the top of the shadow tree found through its host');
+		equal(this.slottedView._getParentView(), this.panelView, 'Parent of slotted content found through its slot');
+
+	});
+
+	test('Child views are found across shadow boundaries and slots', 2, function() {
+
+		deepEqual(this.pageView._getChildViews(), [this.panelView], 'Child found inside the shadow tree of a descendant host');
+		deepEqual(this.panelView._getChildViews(), [this.innerView, this.slottedView], 'Children found inside the shadow tree and through the slot');
+
+	});
+
+	test('Messages bubble out of shadow trees', 1, function() {
+
+		var _this = this;
+		this.pageView.onMessages = {
+			"selected" : function(data, source) {
+				equal(source, _this.innerView, 'Message from inside the shadow tree reached the enclosing view');
+			}
+		};
+		this.panelView.passMessages = true;
+
+		this.innerView.spawn('selected');
+
+	});
+
 	module("View.spawnMessages",
 		{
 			setup: function() {